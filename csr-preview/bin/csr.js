@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// Command-line reports built on the same core as the website.
+//   csr report reserves.csv --min 50 --format json
+//   csr report --sheet "MC CSR" --query 'item:girdle' --format table
+//   cat export.csv | csr report - --tier gold
+
+import { readFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_CONFIG,
+  buildReport,
+  describeQueryErrors,
+  fetchCsvWithFallback,
+  formatRows,
+  mergeConfig,
+  normalizeConfigLayer,
+} from "../src/core.js";
+
+const FORMATS = ["table", "json", "csv", "markdown", "discord", "tsv"];
+const SORT_KEYS = ["csr", "item", "name"];
+
+const USAGE = `Usage: csr report [file | -] [options]
+
+Reads a CSR sheet from a CSV file, from stdin ("-") or, with --sheet and no
+file, straight from the published Google spreadsheet.
+
+Options:
+  --sheet <name>        Tab to download, and the title used in output
+  --spreadsheet <id>    Spreadsheet ID or link (default: ${DEFAULT_CONFIG.spreadsheetId})
+  --config <file>       JSON config, same format as csr-config.json
+  --query <text>        Search, same syntax as the website's search box
+  --min <csr>           Only rows with CSR >= value
+  --max <csr>           Only rows with CSR <= value
+  --tier <tier>         Tier id or label (default tiers: gold, green, stone,
+                        ash) or none
+  --fuzzy               Tolerate typos in --query and rank by match quality
+  --roster <file>       Only players in this raid roster (one name per line
+                        or a raid-frame export)
+  --sort <key>          ${SORT_KEYS.join(", ")} (default: csr)
+  --asc, --desc         Sort direction (default: csr high to low, text A-Z)
+  --limit <n>           Print at most n rows
+  --format <format>     ${FORMATS.join(", ")} (default: table)
+  --strict              Reject malformed CSV instead of reading past it
+  --quiet               Do not print parse and column warnings
+  -h, --help            Show this help
+`;
+
+class UsageError extends Error {}
+
+function readOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      sheet: { type: "string" },
+      spreadsheet: { type: "string" },
+      config: { type: "string" },
+      query: { type: "string", default: "" },
+      min: { type: "string" },
+      max: { type: "string" },
+      tier: { type: "string" },
+      fuzzy: { type: "boolean", default: false },
+      roster: { type: "string" },
+      sort: { type: "string", default: "csr" },
+      asc: { type: "boolean", default: false },
+      desc: { type: "boolean", default: false },
+      limit: { type: "string" },
+      format: { type: "string", default: "table" },
+      strict: { type: "boolean", default: false },
+      quiet: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  const [command, file, ...extra] = positionals;
+  if (values.help || !command) {
+    return { help: true };
+  }
+  if (command !== "report") {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (extra.length) {
+    throw new UsageError(`Unexpected argument "${extra[0]}"`);
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (!SORT_KEYS.includes(values.sort)) {
+    throw new UsageError(`--sort must be one of ${SORT_KEYS.join(", ")}`);
+  }
+  const limit = values.limit == null ? Infinity : Number(values.limit);
+  if (!Number.isInteger(limit) && limit !== Infinity) {
+    throw new UsageError("--limit must be a whole number");
+  }
+  if (!file && !values.sheet) {
+    throw new UsageError("Give a CSV file, - for stdin, or --sheet");
+  }
+  return { ...values, file, limit };
+}
+
+// Same defaults as the table headers: CSR high to low, text A to Z.
+function sortDirection(options) {
+  if (options.asc || options.desc) {
+    return options.asc ? "asc" : "desc";
+  }
+  return options.sort === "csr" ? "desc" : "asc";
+}
+
+function buildQuery(options) {
+  return [
+    options.query,
+    options.min != null ? `csr>=${options.min}` : "",
+    options.max != null ? `csr<=${options.max}` : "",
+    options.tier ? `tier:${options.tier}` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+async function readConfigLayer(options) {
+  const layer = options.config
+    ? normalizeConfigLayer(JSON.parse(await readFile(options.config, "utf8")))
+    : {};
+  if (options.spreadsheet) {
+    layer.spreadsheetId = options.spreadsheet;
+  }
+  if (options.strict) {
+    layer.csvMode = "strict";
+  }
+  return layer;
+}
+
+async function readInput(options, config) {
+  if (options.file === "-") {
+    return readStdin();
+  }
+  if (options.file) {
+    return readFile(options.file, "utf8");
+  }
+  const sheet = config.sheets.find((entry) => entry.name === options.sheet) ?? {
+    name: options.sheet,
+    gid: null,
+  };
+  const { text } = await fetchCsvWithFallback(sheet, config.spreadsheetId);
+  return text;
+}
+
+function warn(message) {
+  process.stderr.write(`warning: ${message}\n`);
+}
+
+async function main(argv) {
+  const options = readOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const layer = await readConfigLayer(options);
+  const text = await readInput(options, mergeConfig(layer));
+  const report = buildReport(text, {
+    config: layer,
+    sheet: options.sheet,
+    query: buildQuery(options),
+    fuzzy: options.fuzzy,
+    roster: options.roster ? await readFile(options.roster, "utf8") : null,
+    sort: { key: options.sort, dir: sortDirection(options) },
+    limit: options.limit,
+  });
+
+  if (report.query.errors.length) {
+    throw new UsageError(describeQueryErrors(report.query));
+  }
+  if (report.parse.error) {
+    throw new Error(report.parse.error);
+  }
+  if (!options.quiet) {
+    report.parse.issues.forEach((issue) =>
+      warn(`row ${issue.row}, column ${issue.column}: ${issue.message}`)
+    );
+    const hidden = report.parse.issueCount - report.parse.issues.length;
+    if (hidden > 0) {
+      warn(`…and ${hidden} more CSV issues`);
+    }
+    report.schema.diagnostics.forEach((entry) => warn(entry.message));
+  }
+  if (report.schema.error) {
+    throw new Error(report.schema.error);
+  }
+
+  const title =
+    options.sheet ??
+    (options.file === "-"
+      ? "CSR"
+      : basename(options.file, extname(options.file)));
+  const output = formatRows(report.rows, options.format, title, report.tiers);
+  process.stdout.write(`${output}\n`);
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    process.stderr.write(`csr: ${error.message}\n`);
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      process.stderr.write("Run csr --help for usage.\n");
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,100 @@
+// App shell cache: the page must open on raid night even without a network.
+// Sheet CSVs are cached by the app itself (IndexedDB), not here.
+// The build fills in BUILD_HASH and BUILD_ASSETS (see swManifest in
+// vite.config.js) so the hashed bundles are precached on the first visit and
+// a new build gets a fresh cache while the old bundles are pruned.
+const BUILD_HASH = "dev";
+const BUILD_ASSETS = [];
+const CACHE = `csr-shell-${BUILD_HASH}`;
+const SHELL = ["./", "./index.html", "./mukla-banana.svg", ...BUILD_ASSETS];
+// Same-origin files that users edit between deploys: always try the network.
+const FRESH_PATHS = ["csr-config.json", "data/items.json"];
+const CACHED_ORIGINS = [
+  self.location.origin,
+  "https://fonts.googleapis.com",
+  "https://fonts.gstatic.com",
+  // Item icons (see itemData.icons in src/config.js).
+  "https://wow.zamimg.com",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, key = request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") {
+        cache.put(event.request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached ?? Response.error());
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return network;
+}
+
+function isFresh(url) {
+  const scope = new URL(self.registration.scope);
+  const path = url.pathname.slice(scope.pathname.length);
+  return FRESH_PATHS.includes(path);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+  const url = new URL(request.url);
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, "./index.html"));
+    return;
+  }
+  if (url.origin === self.location.origin && isFresh(url)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (CACHED_ORIGINS.includes(url.origin)) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
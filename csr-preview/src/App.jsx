@@ -1,255 +1,304 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
+import { csrTier, normalizeName } from "./csr.js";
+import { groupByItem } from "./contention.js";
+import { groupByBoss, hasKillOrder } from "./bosses.js";
+import BossSections from "./BossSections.jsx";
+import { auditRows } from "./audit.js";
+import AuditPanel from "./AuditPanel.jsx";
+import { copyText } from "./clipboard.js";
+import ChangesPanel from "./ChangesPanel.jsx";
+import ColumnPicker from "./ColumnPicker.jsx";
+import {
+  cellText,
+  pickedColumns,
+  readSavedColumns,
+  saveSavedColumns,
+  sheetColumns,
+} from "./columns.js";
+import CsrBadge from "./CsrBadge.jsx";
+import ImportDialog from "./ImportDialog.jsx";
+import { readImportFiles } from "./importFile.js";
+import ItemContention from "./ItemContention.jsx";
+import PinnedBar from "./PinnedBar.jsx";
+import {
+  floatPinned,
+  isPinned,
+  pinKeys,
+  pinnedChanges,
+  pinnedRaids,
+  readPins,
+  savePins,
+  togglePin,
+} from "./pins.js";
+import PlayerProfile from "./PlayerProfile.jsx";
+import ResolveDrop from "./ResolveDrop.jsx";
+import {
+  clearSavedConfig,
+  loadConfig,
+  mergeConfig,
+  removeConfigFromUrl,
+  saveConfig,
+  sheetStorageKey,
+} from "./config.js";
+import { readCachedCsv, writeCachedCsv } from "./csvCache.js";
+import { formatInterval, retryDelay, syncStatus } from "./refresh.js";
+import { buildCopyText } from "./export.js";
+import { describeQueryErrors, hasTextTerms, parseQuery } from "./query.js";
+import { filterRows, rankRows, sortRows } from "./rows.js";
+import Highlight from "./Highlight.jsx";
+import ExportMenu from "./ExportMenu.jsx";
+import ItemName from "./ItemName.jsx";
+import { loadItemIndex, sheetRaid } from "./items.js";
+import { itemUrl, knownRealms } from "./links.js";
+import {
+  DEFAULT_SORT,
+  PLAYER_ROUTE,
+  SETTINGS_ROUTE,
+  STATS_ROUTE,
+  hasViewState,
+  navigateTo,
+  playerHref,
+  readRoute,
+  readViewState,
+  replaceRoute,
+  settingsHref,
+  sheetHref,
+  statsHref,
+  viewStateUrl,
+} from "./routes.js";
+import Settings from "./Settings.jsx";
+import Stats from "./Stats.jsx";
+import ParseNotes from "./ParseNotes.jsx";
+import SchemaNotes from "./SchemaNotes.jsx";
+import TierLegend from "./TierLegend.jsx";
+import { fetchSheet, parseSheet } from "./sheetClient.js";
+import { mapCsvDocument } from "./sheets.js";
+import { tiersForSheet } from "./tiers.js";
+import { isPresent, parseRoster, rosterStatus } from "./roster.js";
+import RosterDialog from "./RosterDialog.jsx";
+import RosterPanel from "./RosterPanel.jsx";
+import { useVirtualRows } from "./useVirtualRows.js";
+import { diffRows, formatDelta, recordSnapshot } from "./snapshots.js";
 
-const SHEET_ID = "1-9jt6ofXzOICrUGsw509xeystkNIc2YCgPyB6V2tCjU";
-const SHEETS = [
-  { name: "Kara40 CSR", gid: null },
-  { name: "NAXX CSR", gid: null },
-  { name: "AQ CSR", gid: null },
-  { name: "ES CSR", gid: null },
-  { name: "BWL CSR", gid: null },
-  { name: "MC CSR", gid: null },
+const DEFAULT_FILTERS = { query: "", fuzzy: false, present: false };
+const IMPORT_PREFIX = "Import: ";
+const VIEWS = [
+  { key: "rows", label: "Rows" },
+  { key: "items", label: "By item" },
+  { key: "bosses", label: "By boss" },
 ];
 
-const COL_INDEX = { item: 19, name: 20, value: 21 };
-const DEFAULT_FILTERS = { query: "" };
-
-function parseCSV(text) {
-  const rows = [];
-  let current = [];
-  let value = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const char = text[i];
-    const next = text[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && next === '"') {
-        value += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (char === "," && !inQuotes) {
-      current.push(value);
-      value = "";
-      continue;
-    }
-
-    if ((char === "\n" || char === "\r") && !inQuotes) {
-      if (char === "\r" && next === "\n") {
-        i += 1;
-      }
-      current.push(value);
-      rows.push(current);
-      current = [];
-      value = "";
-      continue;
-    }
-
-    value += char;
-  }
-
-  if (value.length || current.length) {
-    current.push(value);
-    rows.push(current);
-  }
-
-  return rows;
+function sheetState({ rows, schema, parse = null }) {
+  const error = parse?.error ?? schema.error;
+  return error
+    ? { status: "error", rows, schema, parse, error }
+    : { status: "ready", rows, schema, parse, error: null };
 }
 
-function sanitizeRow(row) {
-  return row.map((cell) => (cell ?? "").trim());
+function emptySheet(sheet) {
+  return {
+    ...sheet,
+    status: "loading",
+    rows: [],
+    sourceUrl: "",
+    error: null,
+    schema: null,
+    parse: null,
+    updatedAt: null,
+    cachedAt: null,
+    revalidating: false,
+    historyReady: false,
+    changes: null,
+    changesSince: null,
+    refreshing: false,
+    failures: 0,
+    nextRetryAt: null,
+  };
 }
 
-function sheetUrls(sheet) {
-  const encoded = encodeURIComponent(sheet.name);
-  const urls = [
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:csv&sheet=${encoded}`,
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&sheet=${encoded}`,
-  ];
-  if (sheet.gid) {
-    urls.push(
-      `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${sheet.gid}`,
-      `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${sheet.gid}`
-    );
+function uniqueSheetName(base, taken) {
+  let name = base;
+  for (let copy = 2; taken.has(name); copy += 1) {
+    name = `${base} (${copy})`;
   }
-  return urls;
+  taken.add(name);
+  return name;
 }
 
-async function fetchCsvWithFallback(sheet) {
-  const urls = sheetUrls(sheet);
-  let lastError = null;
-  for (const url of urls) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      return { text: await response.text(), url };
-    } catch (error) {
-      lastError = error;
-    }
-  }
-  throw lastError || new Error("Fetch failed");
+function validView(key) {
+  return VIEWS.some((option) => option.key === key) ? key : "rows";
 }
 
-function parseCsr(value) {
-  if (!value) {
-    return null;
+function readSavedRoster() {
+  try {
+    return localStorage.getItem("csrRoster") ?? "";
+  } catch {
+    return "";
   }
-  const cleaned = value.replace(/[^0-9.-]/g, "");
-  if (!cleaned) {
-    return null;
-  }
-  const parsed = Number(cleaned);
-  return Number.isFinite(parsed) ? parsed : null;
 }
 
-function csrTier(value) {
-  if (value == null) {
-    return { label: "No score", className: "empty" };
-  }
-  if (value >= 75) {
-    return { label: "High", className: "gold" };
+// A shared link wins over the filters saved in this browser.
+function readInitialFilters() {
+  if (hasViewState()) {
+    const { query, fuzzy, present } = readViewState();
+    return { query, fuzzy, present };
   }
-  if (value >= 50) {
-    return { label: "Medium", className: "green" };
-  }
-  if (value >= 25) {
-    return { label: "Low", className: "stone" };
+  try {
+    const saved = localStorage.getItem("csrFilters");
+    if (saved) {
+      return { ...DEFAULT_FILTERS, ...JSON.parse(saved) };
+    }
+  } catch {
+    // fall back to the defaults
   }
-  return { label: "Very low", className: "ash" };
+  return DEFAULT_FILTERS;
 }
 
-function applyFilters(rows, filters) {
-  const query = filters.query.trim().toLowerCase();
-  if (!query) {
-    return rows;
+// The extra columns a shared link shows on the sheet in its hash, or null
+// when the URL carries no view and the columns saved in this browser apply.
+function readColumnsOverride(sheets) {
+  if (!hasViewState()) {
+    return null;
   }
-  return rows.filter(
-    (row) =>
-      row.item.toLowerCase().includes(query) ||
-      row.name.toLowerCase().includes(query)
-  );
-}
-
-function sortRows(rows, sort) {
-  const sorted = [...rows];
-  sorted.sort((a, b) => {
-    if (sort.key === "csr") {
-      const left = a.csrNumber ?? -Infinity;
-      const right = b.csrNumber ?? -Infinity;
-      return sort.dir === "asc" ? left - right : right - left;
-    }
-    if (sort.key === "item") {
-      return sort.dir === "asc"
-        ? a.item.localeCompare(b.item)
-        : b.item.localeCompare(a.item);
-    }
-    return sort.dir === "asc"
-      ? a.name.localeCompare(b.name)
-      : b.name.localeCompare(a.name);
-  });
-  return sorted;
-}
-
-function buildCopyText(rows) {
-  return rows
-    .map((row) => `${row.item}\t${row.name}\t${row.value}`)
-    .join("\n");
-}
-
-function readFiltersFromUrl() {
-  const params = new URLSearchParams(window.location.search);
   return {
-    query: params.get("q") ?? "",
+    sheet: readRoute() || sheets[0].name,
+    columns: readViewState().columns,
   };
 }
 
-function writeFiltersToUrl(filters) {
-  const params = new URLSearchParams();
-  if (filters.query) params.set("q", filters.query);
-
-  const search = params.toString();
-  const nextUrl = `${window.location.pathname}${
-    search ? `?${search}` : ""
-  }${window.location.hash}`;
-  window.history.replaceState(null, "", nextUrl);
+// The row a shared link points at, on the sheet in its hash.
+function readInitialFocus(sheets) {
+  const { row } = readViewState();
+  if (row == null) {
+    return null;
+  }
+  return { sheet: readRoute() || sheets[0].name, rowNumber: row };
 }
 
-export default function App() {
-  const [activeSheet, setActiveSheet] = useState(SHEETS[0].name);
-  const [filters, setFilters] = useState(DEFAULT_FILTERS);
-  const [showSearch, setShowSearch] = useState(false);
-  const [sort, setSort] = useState({ key: "csr", dir: "desc" });
+function CsrPreview({ config, fileLayer, onSaveConfig, onResetConfig }) {
+  const sourceSheets = config.sheets;
+  const [activeSheet, setActiveSheet] = useState(() => {
+    const route = readRoute();
+    return sourceSheets.some((sheet) => sheet.name === route)
+      ? route
+      : sourceSheets[0].name;
+  });
+  const [page, setPage] = useState({ type: "sheet" });
+  const [filters, setFilters] = useState(readInitialFilters);
+  const [showSearch, setShowSearch] = useState(() => Boolean(filters.query));
+  const [sort, setSort] = useState(() => readViewState().sort);
+  const [view, setView] = useState(() => validView(readViewState().view));
+  const [resolvingKey, setResolvingKey] = useState(null);
   const [copyStatus, setCopyStatus] = useState("Copy sheet");
   const firstRender = useRef(true);
   const sheetNavRef = useRef(null);
+  const refreshSheetRef = useRef(null);
   const [statusHidden, setStatusHidden] = useState(false);
-  const hideStatusTimeout = useRef(null);
-
-  const [sheets, setSheets] = useState(
-    SHEETS.map((sheet) => ({
-      ...sheet,
-      status: "loading",
-      rows: [],
-      sourceUrl: "",
-      error: null,
-      updatedAt: null,
-    }))
+
+  const [sheets, setSheets] = useState(() => sourceSheets.map(emptySheet));
+  // Names of the imported tabs, which only live in memory. Kept in a ref so
+  // the hash handler sees a tab as soon as it is added.
+  const importNames = useRef(new Set());
+  const [importOpen, setImportOpen] = useState(false);
+  const [importError, setImportError] = useState("");
+  const [dragging, setDragging] = useState(false);
+  const [items, setItems] = useState(null);
+  const [rosterText, setRosterText] = useState(readSavedRoster);
+  const [rosterOpen, setRosterOpen] = useState(false);
+  const [savedColumns, setSavedColumns] = useState(readSavedColumns);
+  // Columns from the URL win over the saved ones until the picker is used.
+  const [columnsOverride, setColumnsOverride] = useState(() =>
+    readColumnsOverride(sourceSheets)
   );
+  // The highlighted row: { sheet, rowNumber }.
+  const [focus, setFocus] = useState(() => readInitialFocus(sourceSheets));
+  const scrollPending = useRef(focus != null);
+  // Whether the next URL update is a new history entry (sort, view, toggles)
+  // or replaces the current one (typing a search, redirects).
+  const pushNext = useRef(false);
+  const lastSearch = useRef(window.location.search);
+  const [pins, setPins] = useState(readPins);
+  const [dismissedAlerts, setDismissedAlerts] = useState(() => new Set());
 
-  useEffect(() => {
-    function readHash() {
-      const raw = window.location.hash.replace(/^#\/?/, "");
-      return raw ? decodeURIComponent(raw) : "";
-    }
+  const realms = useMemo(() => knownRealms(config), [config]);
 
-    function updateHash(name) {
-      window.location.hash = `#/${encodeURIComponent(name)}`;
-    }
+  const roster = useMemo(() => {
+    const parsed = parseRoster(rosterText, { realms });
+    return parsed.names.length ? parsed : null;
+  }, [rosterText, realms]);
 
+  useEffect(() => {
+    let cancelled = false;
+    loadItemIndex(config.itemData.url).then((index) => {
+      if (!cancelled) {
+        setItems(index);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [config.itemData.url]);
+
+  useEffect(() => {
     function handleHashChange() {
-      const next = readHash();
-      const exists = SHEETS.some((sheet) => sheet.name === next);
+      const next = readRoute();
+      if (next.startsWith(PLAYER_ROUTE) && next.length > PLAYER_ROUTE.length) {
+        setPage({ type: "player", name: next.slice(PLAYER_ROUTE.length) });
+        return;
+      }
+      if (next === SETTINGS_ROUTE) {
+        setPage({ type: "settings" });
+        return;
+      }
+      if (next === STATS_ROUTE) {
+        setPage({ type: "stats" });
+        return;
+      }
+      setPage({ type: "sheet" });
+      const exists =
+        importNames.current.has(next) ||
+        sourceSheets.some((sheet) => sheet.name === next);
       if (next && exists) {
         setActiveSheet(next);
       } else {
-        setActiveSheet(SHEETS[0].name);
-        updateHash(SHEETS[0].name);
+        setActiveSheet(sourceSheets[0].name);
+        replaceRoute(sheetHref(sourceSheets[0].name));
       }
     }
 
     window.addEventListener("hashchange", handleHashChange);
-    if (!readHash()) {
-      updateHash(SHEETS[0].name);
-    } else {
-      handleHashChange();
-    }
+    handleHashChange();
     return () => window.removeEventListener("hashchange", handleHashChange);
-  }, []);
+  }, [sourceSheets]);
 
+  // Back and forward between views of a sheet. Changes of the hash alone
+  // (another sheet or page) are handled above.
   useEffect(() => {
-    const urlFilters = readFiltersFromUrl();
-    const hasUrlFilters = Object.values(urlFilters).some((value) => value);
-    if (hasUrlFilters) {
-      setFilters(urlFilters);
-      return;
-    }
-    try {
-      const saved = localStorage.getItem("csrFilters");
-      if (saved) {
-        setFilters({ ...DEFAULT_FILTERS, ...JSON.parse(saved) });
+    function handlePopState() {
+      if (window.location.search === lastSearch.current) {
+        return;
       }
-    } catch {
-      setFilters(DEFAULT_FILTERS);
+      lastSearch.current = window.location.search;
+      const state = readViewState();
+      setFilters({
+        query: state.query,
+        fuzzy: state.fuzzy,
+        present: state.present,
+      });
+      setShowSearch((prev) => prev || Boolean(state.query));
+      setSort(state.sort);
+      setView(validView(state.view));
+      setColumnsOverride(readColumnsOverride(sourceSheets));
+      setFocus(
+        state.row == null ? null : { sheet: readRoute(), rowNumber: state.row }
+      );
+      scrollPending.current = state.row != null;
     }
-  }, []);
+
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [sourceSheets]);
 
   useEffect(() => {
     if (firstRender.current) {
@@ -261,15 +310,8 @@ export default function App() {
     } catch {
       // ignore storage errors
     }
-    writeFiltersToUrl(filters);
   }, [filters]);
 
-  useEffect(() => {
-    if (filters.query && !showSearch) {
-      setShowSearch(true);
-    }
-  }, [filters.query, showSearch]);
-
   useEffect(() => {
     const nav = sheetNavRef.current;
     if (!nav) return undefined;
@@ -292,101 +334,519 @@ export default function App() {
   useEffect(() => {
     let cancelled = false;
 
-    async function loadSheet(sheet, index) {
+    function updateSheet(index, patch) {
+      if (cancelled) {
+        return;
+      }
+      setSheets((prev) =>
+        prev.map((entry, i) => (i === index ? { ...entry, ...patch } : entry))
+      );
+    }
+
+    async function loadHistory(sheet, index, rows) {
       try {
-        const { text, url } = await fetchCsvWithFallback(sheet);
-        const rawRows = parseCSV(text).map(sanitizeRow);
-        const rows = rawRows
-          .map((cells, rowIndex) => {
-            const item = (cells[COL_INDEX.item] ?? "").trim();
-            const name = (cells[COL_INDEX.name] ?? "").trim();
-            const value = (cells[COL_INDEX.value] ?? "").trim();
-            return {
-              cells,
-              rowNumber: rowIndex + 1,
-              item,
-              name,
-              value,
-              csrNumber: parseCsr(value),
-            };
-          })
-          .filter((row) => row.rowNumber > 1)
-          .filter((row) => row.item || row.name || row.value);
-        if (!cancelled) {
-          setSheets((prev) =>
-            prev.map((entry, i) =>
-              i === index
-                ? {
-                    ...entry,
-                    status: "ready",
-                    rows,
-                    sourceUrl: url,
-                    error: null,
-                    updatedAt: new Date(),
-                  }
-                : entry
-            )
-          );
+        const baseline = await recordSnapshot(
+          sheetStorageKey(config, sheet),
+          rows
+        );
+        updateSheet(index, {
+          historyReady: true,
+          changes: baseline ? diffRows(baseline.rows, rows) : null,
+          changesSince: baseline ? new Date(baseline.takenAt) : null,
+        });
+      } catch {
+        // history is optional, e.g. IndexedDB is disabled in private mode
+      }
+    }
+
+    const timers = new Map();
+    const inFlight = new Set();
+    const dueWhileHidden = new Set();
+    const lastText = new Map();
+    const failures = new Map();
+
+    function schedule(index, delay) {
+      if (cancelled) {
+        return;
+      }
+      clearTimeout(timers.get(index));
+      timers.set(
+        index,
+        setTimeout(() => {
+          if (document.hidden) {
+            dueWhileHidden.add(index);
+            return;
+          }
+          loadSheet(index);
+        }, delay)
+      );
+    }
+
+    function scheduleRefresh(index) {
+      if (config.refreshInterval > 0) {
+        schedule(index, config.refreshInterval * 1000);
+      }
+    }
+
+    async function showCachedCopy(sheet, index, storageKey) {
+      const cached = await readCachedCsv(storageKey).catch(() => null);
+      if (!cached) {
+        return;
+      }
+      const mapped = await parseSheet(cached.text, config).catch(() => null);
+      if (mapped && !lastText.has(index)) {
+        lastText.set(index, cached.text);
+        updateSheet(index, {
+          ...sheetState(mapped),
+          sourceUrl: cached.url,
+          cachedAt: new Date(cached.cachedAt),
+          revalidating: true,
+        });
+      }
+    }
+
+    async function loadSheet(index, { initial = false } = {}) {
+      if (cancelled || inFlight.has(index)) {
+        return;
+      }
+      const sheet = config.sheets[index];
+      const storageKey = sheetStorageKey(config, sheet);
+      clearTimeout(timers.get(index));
+      inFlight.add(index);
+      if (initial) {
+        await showCachedCopy(sheet, index, storageKey);
+      } else {
+        updateSheet(index, { refreshing: true });
+      }
+
+      try {
+        const { text, url, ...result } = await fetchSheet(sheet, config);
+        const syncPatch = {
+          sourceUrl: url,
+          updatedAt: new Date(),
+          cachedAt: null,
+          revalidating: false,
+          refreshing: false,
+          failures: 0,
+          nextRetryAt: null,
+        };
+        failures.set(index, 0);
+        if (lastText.get(index) === text && !initial) {
+          updateSheet(index, { ...syncPatch, error: null });
+        } else {
+          lastText.set(index, text);
+          const mapped = sheetState(result);
+          updateSheet(index, { ...mapped, ...syncPatch });
+          writeCachedCsv(storageKey, text, url).catch(() => {
+            // a full or disabled cache only costs the offline copy
+          });
+          if (mapped.status === "ready") {
+            await loadHistory(sheet, index, mapped.rows);
+          }
         }
+        scheduleRefresh(index);
       } catch (error) {
-        if (!cancelled) {
-          setSheets((prev) =>
-            prev.map((entry, i) =>
-              i === index
-                ? {
-                    ...entry,
-                    status: "error",
-                    error: error.message,
-                  }
-                : entry
-            )
-          );
-        }
+        const count = (failures.get(index) ?? 0) + 1;
+        const delay = retryDelay(count);
+        failures.set(index, count);
+        updateSheet(index, {
+          ...(lastText.has(index) ? {} : { status: "error" }),
+          error: error.message,
+          revalidating: false,
+          refreshing: false,
+          failures: count,
+          nextRetryAt: new Date(Date.now() + delay),
+        });
+        schedule(index, delay);
+      } finally {
+        inFlight.delete(index);
+      }
+    }
+
+    function handleVisibilityChange() {
+      if (document.hidden) {
+        return;
       }
+      dueWhileHidden.forEach((index) => loadSheet(index));
+      dueWhileHidden.clear();
     }
 
-    SHEETS.forEach((sheet, index) => {
-      loadSheet(sheet, index);
+    config.sheets.forEach((sheet, index) => {
+      loadSheet(index, { initial: true });
     });
+    refreshSheetRef.current = (name) => {
+      const index = config.sheets.findIndex((sheet) => sheet.name === name);
+      if (index !== -1) {
+        dueWhileHidden.delete(index);
+        loadSheet(index);
+      }
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
 
     return () => {
       cancelled = true;
+      timers.forEach((timer) => clearTimeout(timer));
+      refreshSheetRef.current = null;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
     };
-  }, []);
+  }, [config]);
+
+  const importSheets = useCallback(
+    (entries) => {
+      if (!entries.length) {
+        return;
+      }
+      const taken = new Set(sheets.map((sheet) => sheet.name));
+      const imported = entries.map((entry) => ({
+        ...emptySheet({
+          name: uniqueSheetName(`${IMPORT_PREFIX}${entry.name}`, taken),
+          gid: null,
+        }),
+        ...sheetState(mapCsvDocument(entry.document, config)),
+        temporary: true,
+        sourceLabel: entry.name,
+        updatedAt: new Date(),
+      }));
+      setImportOpen(false);
+      setImportError("");
+      imported.forEach((sheet) => importNames.current.add(sheet.name));
+      setSheets((prev) => [...prev, ...imported]);
+      navigateTo(sheetHref(imported[0].name));
+    },
+    [config, sheets]
+  );
+
+  function closeImport(name) {
+    importNames.current.delete(name);
+    setSheets((prev) => prev.filter((sheet) => sheet.name !== name));
+    if (name === activeSheet) {
+      navigateTo(sheetHref(sourceSheets[0].name));
+    }
+  }
+
+  useEffect(() => {
+    let depth = 0;
+
+    function hasFiles(event) {
+      return [...(event.dataTransfer?.types ?? [])].includes("Files");
+    }
+
+    function handleDragEnter(event) {
+      if (hasFiles(event)) {
+        depth += 1;
+        setDragging(true);
+      }
+    }
+
+    function handleDragLeave(event) {
+      if (hasFiles(event)) {
+        depth = Math.max(0, depth - 1);
+        setDragging(depth > 0);
+      }
+    }
+
+    function handleDragOver(event) {
+      if (hasFiles(event)) {
+        event.preventDefault();
+      }
+    }
+
+    async function handleDrop(event) {
+      if (!hasFiles(event)) {
+        return;
+      }
+      event.preventDefault();
+      depth = 0;
+      setDragging(false);
+      try {
+        importSheets(
+          await readImportFiles(event.dataTransfer.files, {
+            strict: config.csvMode === "strict",
+          })
+        );
+      } catch (error) {
+        setImportError(error.message);
+      }
+    }
+
+    window.addEventListener("dragenter", handleDragEnter);
+    window.addEventListener("dragleave", handleDragLeave);
+    window.addEventListener("dragover", handleDragOver);
+    window.addEventListener("drop", handleDrop);
+    return () => {
+      window.removeEventListener("dragenter", handleDragEnter);
+      window.removeEventListener("dragleave", handleDragLeave);
+      window.removeEventListener("dragover", handleDragOver);
+      window.removeEventListener("drop", handleDrop);
+    };
+  }, [importSheets, config.csvMode]);
+
+  const closeImportDialog = useCallback(() => setImportOpen(false), []);
 
   const isReady = useMemo(() => {
-    const loaded = sheets.filter((sheet) => sheet.status === "ready").length;
+    const loaded = sheets.filter(
+      (sheet) => sheet.status === "ready" && !sheet.revalidating
+    ).length;
     return loaded === sheets.length;
   }, [sheets]);
 
   const active = sheets.find((sheet) => sheet.name === activeSheet) ?? sheets[0];
 
-  const filteredRows = useMemo(() => {
+  const tiers = tiersForSheet(config, active?.name);
+
+  const raid = active ? sheetRaid(config, active.name) : null;
+  const missingLootTable = Boolean(
+    items && raid && !hasKillOrder(items, raid)
+  );
+
+  const columnsKey = active ? sheetStorageKey(config, active) : "";
+
+  const columns = useMemo(
+    () => (active ? sheetColumns(active.schema, active.rows) : []),
+    [active]
+  );
+
+  const columnSelection =
+    columnsOverride && columnsOverride.sheet === active?.name
+      ? columnsOverride.columns
+      : savedColumns[columnsKey];
+
+  const extraColumns = useMemo(
+    () => pickedColumns(columns, columnSelection),
+    [columns, columnSelection]
+  );
+
+  const query = useMemo(
+    () => parseQuery(filters.query, { tiers, columns }),
+    [filters.query, tiers, columns]
+  );
+
+  const matches = useMemo(() => {
     if (!active) {
+      return new Map();
+    }
+    return filterRows(active.rows, query, {
+      fuzzy: filters.fuzzy,
+      tiers,
+      roster: filters.present ? roster : null,
+    });
+  }, [active, query, filters.fuzzy, filters.present, tiers, roster]);
+
+  const filteredRows = useMemo(() => [...matches.keys()], [matches]);
+
+  const ranked = filters.fuzzy && hasTextTerms(query);
+
+  const sortedRows = useMemo(() => {
+    const sorted = sortRows(filteredRows, sort);
+    return ranked ? rankRows(sorted, matches) : sorted;
+  }, [filteredRows, sort, ranked, matches]);
+
+  const pinned = useMemo(() => pinKeys(pins), [pins]);
+
+  // Exports keep the plain sort; only the table floats pinned rows up.
+  const tableRows = useMemo(
+    () => floatPinned(sortedRows, pinned),
+    [sortedRows, pinned]
+  );
+
+  const pinSummary = useMemo(() => pinnedRaids(pins, sheets), [pins, sheets]);
+
+  const pinAlerts = useMemo(
+    () =>
+      pinnedChanges(sheets, pinned).filter(
+        (alert) => !dismissedAlerts.has(alert.key)
+      ),
+    [sheets, pinned, dismissedAlerts]
+  );
+
+  const virtualRows = useVirtualRows(tableRows.length);
+  const { scrollToIndex } = virtualRows;
+
+  const focusRow =
+    focus && focus.sheet === active?.name ? focus.rowNumber : null;
+
+  useEffect(() => {
+    if (!scrollPending.current || focusRow == null) {
+      return;
+    }
+    const index = tableRows.findIndex((row) => row.rowNumber === focusRow);
+    if (index !== -1 && scrollToIndex(index)) {
+      scrollPending.current = false;
+    }
+  }, [focusRow, tableRows, scrollToIndex]);
+
+  // Mirrors the view into the URL; see pushNext.
+  useEffect(() => {
+    const url = viewStateUrl({
+      ...filters,
+      sort,
+      view,
+      // The selection as picked, so a link keeps it while the sheet loads.
+      columns: columnSelection ?? [],
+      row: focusRow,
+    });
+    const { pathname, search, hash } = window.location;
+    if (url !== `${pathname}${search}${hash}`) {
+      if (pushNext.current) {
+        window.history.pushState(null, "", url);
+      } else {
+        window.history.replaceState(window.history.state, "", url);
+      }
+    }
+    pushNext.current = false;
+    lastSearch.current = window.location.search;
+  }, [filters, sort, view, columnSelection, focusRow]);
+
+  const audit = useMemo(
+    () => (active?.status === "ready" ? auditRows(active.rows) : []),
+    [active]
+  );
+
+  const itemGroups = useMemo(() => {
+    if (!active || view === "rows") {
       return [];
     }
-    return applyFilters(active.rows, filters);
-  }, [active, filters]);
+    const matched = new Set(filteredRows);
+    // Only players in the raid can win a drop.
+    const rows = roster
+      ? active.rows.filter((row) => isPresent(roster, row))
+      : active.rows;
+    return groupByItem(rows).filter((group) =>
+      group.contenders.some(({ row }) => matched.has(row))
+    );
+  }, [active, filteredRows, view, roster]);
 
-  const sortedRows = useMemo(
-    () => sortRows(filteredRows, sort),
-    [filteredRows, sort]
+  const rosterSummary = useMemo(
+    () => (roster && active ? rosterStatus(active.rows, roster) : null),
+    [roster, active]
   );
 
+  const closeRoster = useCallback(() => setRosterOpen(false), []);
+
+  function saveRoster(text) {
+    try {
+      if (text.trim()) {
+        localStorage.setItem("csrRoster", text);
+      } else {
+        localStorage.removeItem("csrRoster");
+      }
+    } catch {
+      // ignore storage errors
+    }
+    setRosterText(text.trim() ? text : "");
+    setRosterOpen(false);
+  }
+
+  const bossSections = useMemo(
+    () =>
+      view === "bosses"
+        ? groupByBoss(itemGroups, items)
+        : { sections: [], unmapped: [] },
+    [itemGroups, items, view]
+  );
+
+  const resolvingGroup = resolvingKey
+    ? itemGroups.find((group) => group.key === resolvingKey)
+    : null;
+
+  const closeResolver = useCallback(() => setResolvingKey(null), []);
+
   function updateFilter(key, value) {
+    // Typing a search updates the current history entry.
+    pushNext.current = key !== "query";
     setFilters((prev) => ({ ...prev, [key]: value }));
   }
 
   function clearFilters() {
-    setFilters(DEFAULT_FILTERS);
+    pushNext.current = true;
+    setFilters((prev) => ({
+      ...DEFAULT_FILTERS,
+      fuzzy: prev.fuzzy,
+      present: prev.present,
+    }));
     setShowSearch(false);
   }
 
+  function refreshActive() {
+    refreshSheetRef.current?.(active.name);
+  }
+
   function openSearch() {
     setShowSearch(true);
   }
 
+  // Audit links: show the row in the table, clearing filters that hide it.
+  function showRow(row) {
+    const index = tableRows.indexOf(row);
+    if (view === "rows" && row.rowNumber === focusRow && index !== -1) {
+      scrollToIndex(index);
+      return;
+    }
+    pushNext.current = true;
+    setView("rows");
+    if (!matches.has(row)) {
+      setFilters((prev) => ({ ...DEFAULT_FILTERS, fuzzy: prev.fuzzy }));
+      setShowSearch(false);
+    }
+    setFocus({ sheet: active.name, rowNumber: row.rowNumber });
+    scrollPending.current = true;
+  }
+
+  function updatePin(name) {
+    const next = togglePin(pins, name);
+    savePins(next);
+    setPins(next);
+  }
+
+  function dismissPinAlerts() {
+    setDismissedAlerts(
+      (prev) => new Set([...prev, ...pinAlerts.map((alert) => alert.key)])
+    );
+  }
+
+  function toggleColumn(index) {
+    const shown = extraColumns.map((column) => column.index);
+    const next = shown.includes(index)
+      ? shown.filter((entry) => entry !== index)
+      : [...shown, index].sort((a, b) => a - b);
+    const saved = { ...savedColumns, [columnsKey]: next };
+    if (!next.length) {
+      delete saved[columnsKey];
+    }
+    saveSavedColumns(saved);
+    setSavedColumns(saved);
+    setColumnsOverride(null);
+    pushNext.current = true;
+    if (sort.key === index) {
+      setSort(DEFAULT_SORT);
+    }
+  }
+
+  function changeView(key) {
+    if (key !== view) {
+      pushNext.current = true;
+      setView(key);
+    }
+  }
+
+  // Clicking a row highlights it, so its link can be shared.
+  function toggleFocus(event, row) {
+    if (
+      event.target.closest("a, button") ||
+      window.getSelection()?.toString()
+    ) {
+      return;
+    }
+    pushNext.current = true;
+    setFocus(
+      row.rowNumber === focusRow
+        ? null
+        : { sheet: active.name, rowNumber: row.rowNumber }
+    );
+  }
+
   function toggleSort(key) {
+    pushNext.current = true;
     setSort((prev) => {
       if (prev.key === key) {
         return { key, dir: prev.dir === "asc" ? "desc" : "asc" };
@@ -402,20 +862,10 @@ export default function App() {
       return;
     }
     try {
-      await navigator.clipboard.writeText(text);
+      await copyText(text);
       setCopyStatus("Copied");
     } catch {
-      try {
-        const textarea = document.createElement("textarea");
-        textarea.value = text;
-        document.body.appendChild(textarea);
-        textarea.select();
-        document.execCommand("copy");
-        document.body.removeChild(textarea);
-        setCopyStatus("Copied");
-      } catch {
-        setCopyStatus("Copy failed");
-      }
+      setCopyStatus("Copy failed");
     }
   }
 
@@ -428,24 +878,13 @@ export default function App() {
   }, [copyStatus]);
 
   useEffect(() => {
-    if (hideStatusTimeout.current) {
-      clearTimeout(hideStatusTimeout.current);
-      hideStatusTimeout.current = null;
-    }
     if (!isReady) {
-      setStatusHidden(false);
       return undefined;
     }
-    setStatusHidden(false);
-    hideStatusTimeout.current = setTimeout(() => {
-      setStatusHidden(true);
-      hideStatusTimeout.current = null;
-    }, 5000);
+    const timeout = setTimeout(() => setStatusHidden(true), 5000);
     return () => {
-      if (hideStatusTimeout.current) {
-        clearTimeout(hideStatusTimeout.current);
-        hideStatusTimeout.current = null;
-      }
+      clearTimeout(timeout);
+      setStatusHidden(false);
     };
   }, [isReady]);
 
@@ -453,21 +892,62 @@ export default function App() {
     <div className="app">
       <section className="top-bar">
         <nav className="sheet-nav" ref={sheetNavRef}>
-          {SHEETS.map((sheet) => {
-            const count =
-              sheets.find((entry) => entry.name === sheet.name)?.rows.length ??
-              0;
-            return (
+          {sheets.map((sheet) => {
+            const count = sheet.rows.length;
+            const sync = syncStatus(sheet);
+            const link = (
               <a
                 key={sheet.name}
-                href={`#/${encodeURIComponent(sheet.name)}`}
-                className={sheet.name === activeSheet ? "active" : ""}
+                href={sheetHref(sheet.name)}
+                className={
+                  page.type === "sheet" && sheet.name === activeSheet
+                    ? "active"
+                    : ""
+                }
+                title={sync.label}
               >
+                <i className={`tab-status tab-status--${sync.state}`} />
                 {sheet.name} <span>({count || "-"})</span>
               </a>
             );
+            if (!sheet.temporary) {
+              return link;
+            }
+            return (
+              <span className="sheet-tab--import" key={sheet.name}>
+                {link}
+                <button
+                  className="tab-close"
+                  onClick={() => closeImport(sheet.name)}
+                  aria-label={`Close ${sheet.name}`}
+                  title="Close preview"
+                >
+                  ×
+                </button>
+              </span>
+            );
           })}
         </nav>
+        <button
+          className="settings-link"
+          onClick={() => setImportOpen(true)}
+        >
+          Import
+        </button>
+        <a
+          className={`settings-link ${page.type === "stats" ? "active" : ""}`}
+          href={statsHref()}
+        >
+          Stats
+        </a>
+        <a
+          className={`settings-link settings-link--last ${
+            page.type === "settings" ? "active" : ""
+          }`}
+          href={settingsHref()}
+        >
+          Settings
+        </a>
         <div
           className={`status ${isReady ? "status--ready" : ""} ${
             statusHidden ? "status--hidden" : ""
@@ -481,12 +961,85 @@ export default function App() {
       </section>
 
       <section className="grid">
-        {active && (
+        {importError && (
+          <div className="error import-error">
+            {importError}
+            <button
+              className="btn ghost small"
+              onClick={() => setImportError("")}
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+        {page.type === "player" && (
+          <PlayerProfile
+            name={page.name}
+            sheets={sheets}
+            config={config}
+            items={items}
+            pinned={pinned.has(normalizeName(page.name))}
+            onTogglePin={updatePin}
+            backHref={sheetHref(activeSheet)}
+          />
+        )}
+        {page.type === "stats" && (
+          <Stats
+            sheets={sheets}
+            config={config}
+            backHref={sheetHref(activeSheet)}
+          />
+        )}
+        {page.type === "settings" && (
+          <Settings
+            config={config}
+            fileLayer={fileLayer}
+            onSave={onSaveConfig}
+            onReset={onResetConfig}
+            backHref={sheetHref(activeSheet)}
+          />
+        )}
+        {page.type === "sheet" && pins.length > 0 && (
+          <PinnedBar
+            pins={pinSummary}
+            alerts={pinAlerts}
+            activeSheet={active?.name}
+            loading={!isReady}
+            onUnpin={updatePin}
+            onDismiss={dismissPinAlerts}
+          />
+        )}
+        {page.type === "sheet" && active && (
           <article className={`sheet ${active.status}`} key={active.name}>
             <header className="module-header">
               <div className="module-title">
                 <div>
                   <h2>{active.name}</h2>
+                  {active.cachedAt && (
+                    <p className="module-meta cache-note">
+                      {active.revalidating
+                        ? "Showing cached copy from"
+                        : "Offline – showing cached copy from"}{" "}
+                      {active.cachedAt.toLocaleString()}
+                      {active.revalidating ? " · refreshing…" : ""}
+                    </p>
+                  )}
+                  {!active.temporary &&
+                    (!active.cachedAt || active.failures > 0) && (
+                      <p
+                        className={`module-meta sync-note ${
+                          active.failures > 0 ? "sync-note--error" : ""
+                        }`}
+                        title={active.failures > 0 ? active.error : undefined}
+                      >
+                        {syncStatus(active).label}
+                        {active.failures === 0 && config.refreshInterval > 0
+                          ? ` · auto-refresh every ${formatInterval(
+                              config.refreshInterval
+                            )}`
+                          : ""}
+                      </p>
+                    )}
                 </div>
               </div>
               <div className="module-actions">
@@ -505,10 +1058,27 @@ export default function App() {
                           onChange={(event) =>
                             updateFilter("query", event.target.value)
                           }
-                          placeholder="Item or player"
+                          placeholder='item:"Onslaught Girdle" csr>=50'
+                          title="Fields: item, name, csr, tier and the sheet's other columns (see Columns). Operators: : = != > >= < <=, ranges like csr:50..75, prefix - to exclude."
+                          aria-invalid={query.errors.length > 0}
                           autoFocus
                         />
+                        {query.errors.length > 0 && (
+                          <em className="filter-error" role="alert">
+                            {describeQueryErrors(query)}
+                          </em>
+                        )}
                       </label>
+                      <button
+                        className={`btn small ${
+                          filters.fuzzy ? "active" : "ghost"
+                        }`}
+                        aria-pressed={filters.fuzzy}
+                        title="Tolerate typos and list the closest matches first"
+                        onClick={() => updateFilter("fuzzy", !filters.fuzzy)}
+                      >
+                        Fuzzy
+                      </button>
                       <button className="btn ghost small" onClick={clearFilters}>
                         Clear
                       </button>
@@ -519,6 +1089,49 @@ export default function App() {
                     </button>
                   )}
                 </div>
+                <div className="view-toggle" role="group" aria-label="View">
+                  {VIEWS.map((option) => (
+                    <button
+                      key={option.key}
+                      className={`btn small ${
+                        view === option.key ? "active" : "ghost"
+                      }`}
+                      aria-pressed={view === option.key}
+                      onClick={() => changeView(option.key)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  className="btn ghost"
+                  onClick={() => setRosterOpen(true)}
+                  title="Paste tonight's raid to mark who is present"
+                >
+                  {roster ? `Roster (${roster.names.length})` : "Roster"}
+                </button>
+                {view === "rows" && (
+                  <ColumnPicker
+                    columns={columns}
+                    picked={extraColumns}
+                    onToggle={toggleColumn}
+                  />
+                )}
+                {!active.temporary && (
+                  <button
+                    className="btn ghost"
+                    onClick={refreshActive}
+                    disabled={active.refreshing || active.status === "loading"}
+                    title="Fetch the latest version of this sheet now"
+                  >
+                    {active.refreshing ? "Refreshing…" : "Refresh"}
+                  </button>
+                )}
+                <ExportMenu
+                  rows={sortedRows}
+                  sheetName={active.name}
+                  tiers={tiers}
+                />
                 <button className="btn primary" onClick={copySheet}>
                   {copyStatus}
                 </button>
@@ -538,17 +1151,113 @@ export default function App() {
                 </div>
               )}
 
-              {active.status === "error" && (
-                <div className="error">
-                  Unable to load this sheet. Make sure the Google Sheet is
-                  published to the web. ({active.error})
-                </div>
+              {active.status === "error" &&
+                !active.schema?.error &&
+                !active.parse?.error && (
+                  <div className="error">
+                    Unable to load this sheet. Make sure the Google Sheet is
+                    published to the web. ({active.error})
+                  </div>
+                )}
+
+              {active.parse &&
+                (active.parse.error || active.parse.issueCount > 0) && (
+                  <ParseNotes parse={active.parse} />
+                )}
+
+              {active.schema?.diagnostics.length > 0 && (
+                <SchemaNotes schema={active.schema} />
+              )}
+
+              {active.status === "ready" && active.historyReady && (
+                <ChangesPanel
+                  changes={active.changes}
+                  since={active.changesSince}
+                />
+              )}
+
+              {active.status === "ready" && audit.length > 0 && (
+                <AuditPanel issues={audit} onShowRow={showRow} />
+              )}
+
+              {active.status === "ready" && rosterSummary && (
+                <RosterPanel
+                  roster={roster}
+                  status={rosterSummary}
+                  presentOnly={filters.present}
+                  onTogglePresent={() =>
+                    updateFilter("present", !filters.present)
+                  }
+                  onEdit={() => setRosterOpen(true)}
+                />
               )}
 
               {active.status === "ready" && (
+                <TierLegend tiers={tiers} palette={config.palette} />
+              )}
+
+              {active.status === "ready" && view === "items" && (
+                <ItemContention
+                  groups={itemGroups}
+                  tiers={tiers}
+                  palette={config.palette}
+                  items={items}
+                  raid={raid}
+                  icons={config.itemData.icons}
+                  itemHref={(item) => itemUrl(config, active.name, item)}
+                  onResolve={setResolvingKey}
+                />
+              )}
+
+              {active.status === "ready" && view === "bosses" && (
+                <>
+                  {!items && (
+                    <p className="module-meta">
+                      The loot table ({config.itemData.url}) could not be
+                      loaded, so no item could be placed under a boss.
+                    </p>
+                  )}
+                  {items && !raid && (
+                    <p className="module-meta">
+                      This sheet is not mapped to a raid. Add it under{" "}
+                      <code>raids</code> in csr-config.json to order its
+                      bosses.
+                    </p>
+                  )}
+                  {missingLootTable && (
+                    <p className="module-meta">
+                      The loot table ({config.itemData.url}) has no kill
+                      order for {raid}, so its items are not placed under
+                      bosses.
+                    </p>
+                  )}
+                  <BossSections
+                    sections={bossSections.sections}
+                    unmapped={bossSections.unmapped}
+                    unmappedLabel={
+                      missingLootTable ? `No loot table for ${raid}` : undefined
+                    }
+                    tiers={tiers}
+                    palette={config.palette}
+                    items={items}
+                    raid={raid}
+                    icons={config.itemData.icons}
+                    itemHref={(item) => itemUrl(config, active.name, item)}
+                    onResolve={setResolvingKey}
+                  />
+                </>
+              )}
+
+              {active.status === "ready" && view === "rows" && (
                 <>
-                  <div className="table-wrap">
-                    <table>
+                  <div
+                    className="table-wrap table-wrap--virtual"
+                    ref={virtualRows.ref}
+                  >
+                    <table
+                      className={extraColumns.length ? "table--extra" : ""}
+                      style={{ "--extra-columns": extraColumns.length }}
+                    >
                       <thead>
                         <tr>
                           <th
@@ -591,53 +1300,179 @@ export default function App() {
                                 : ""}
                             </span>
                           </th>
+                          {extraColumns.map((column) => (
+                            <th
+                              key={column.index}
+                              className="col-extra"
+                              title={
+                                column.key
+                                  ? `Search with ${column.key}:`
+                                  : undefined
+                              }
+                              onClick={() => toggleSort(column.index)}
+                            >
+                              {column.label}
+                              <span className="sort">
+                                {sort.key === column.index
+                                  ? sort.dir === "asc"
+                                    ? " ▲"
+                                    : " ▼"
+                                  : ""}
+                              </span>
+                            </th>
+                          ))}
                         </tr>
                       </thead>
                       <tbody>
-                        {sortedRows.map((row) => {
-                          const tier = csrTier(row.csrNumber);
-                          const rowKey = `${active.name}-${row.rowNumber}-${row.item}-${row.name}`;
-                          return (
-                            <tr key={rowKey}>
-                              <td className="cell-item" title={row.item}>
-                                <a
-                                  className="cell-link"
-                                  href={`https://database.turtlecraft.gg/?search=${encodeURIComponent(
-                                    row.item
-                                  )}`}
-                                  target="_blank"
-                                  rel="noreferrer"
-                                  title={`Open item in database: ${row.item}`}
-                                >
-                                  <span className="cell-text">{row.item}</span>
-                                </a>
-                              </td>
-                              <td className="cell-name">
-                                <a
-                                  className="cell-link"
-                                  href={`https://turtlecraft.gg/armory/Tel%27Abim/${encodeURIComponent(
-                                    row.name
-                                  )}`}
-                                  target="_blank"
-                                  rel="noreferrer"
-                                  title={`Open player in armory: ${row.name}`}
-                                >
-                                  {row.name}
-                                </a>
-                              </td>
-                              <td className="cell-csr">
-                                <span className={`csr-badge ${tier.className}`}>
-                                  <strong>{row.value || "-"}</strong>
-                                </span>
-                              </td>
-                            </tr>
-                          );
-                        })}
+                        {virtualRows.before > 0 && (
+                          <tr
+                            className="virtual-spacer"
+                            style={{ height: virtualRows.before }}
+                            aria-hidden
+                          />
+                        )}
+                        {tableRows
+                          .slice(virtualRows.start, virtualRows.end)
+                          .map((row, offset) => {
+                            const index = virtualRows.start + offset;
+                            const tier = csrTier(row.csrNumber, tiers);
+                            const rowKey = `${active.name}-${row.rowNumber}-${row.item}-${row.name}`;
+                            const change = active.changes?.byRow.get(row);
+                            const highlights = matches.get(row)?.highlights;
+                            const absent = roster && !isPresent(roster, row);
+                            const mine = isPinned(pinned, row);
+                            return (
+                              <tr
+                                key={rowKey}
+                                data-index={index}
+                                onClick={(event) => toggleFocus(event, row)}
+                                className={[
+                                  index % 2 === 0 ? "row--stripe" : "",
+                                  change ? `row--${change.type}` : "",
+                                  absent ? "row--absent" : "",
+                                  mine ? "row--pinned" : "",
+                                  row.rowNumber === focusRow
+                                    ? "row--focus"
+                                    : "",
+                                ]
+                                  .filter(Boolean)
+                                  .join(" ")}
+                              >
+                                <td className="cell-item" title={row.item}>
+                                  <ItemName
+                                    name={row.item}
+                                    items={items}
+                                    raid={raid}
+                                    icons={config.itemData.icons}
+                                    href={itemUrl(
+                                      config,
+                                      active.name,
+                                      row.item
+                                    )}
+                                  >
+                                    <span className="cell-text">
+                                      <Highlight
+                                        text={row.item}
+                                        ranges={highlights?.item}
+                                      />
+                                    </span>
+                                  </ItemName>
+                                </td>
+                                <td className="cell-name">
+                                  {row.name && (
+                                    <button
+                                      className={`pin-toggle ${
+                                        mine ? "pin-toggle--on" : ""
+                                      }`}
+                                      aria-pressed={mine}
+                                      aria-label={`${
+                                        mine ? "Unpin" : "Pin"
+                                      } ${row.name}`}
+                                      title={
+                                        mine
+                                          ? "Unpin this character"
+                                          : "Pin as one of my characters"
+                                      }
+                                      onClick={() => updatePin(row.name)}
+                                    >
+                                      {mine ? "★" : "☆"}
+                                    </button>
+                                  )}
+                                  <a
+                                    className="cell-link"
+                                    href={playerHref(row.name)}
+                                    title={`Show all reservations for ${row.name}`}
+                                  >
+                                    <Highlight
+                                      text={row.name}
+                                      ranges={highlights?.name}
+                                    />
+                                  </a>
+                                  {roster && (
+                                    <span
+                                      className={`presence presence--${
+                                        absent ? "absent" : "present"
+                                      }`}
+                                      title={
+                                        absent
+                                          ? "Not in the raid roster"
+                                          : "In the raid roster"
+                                      }
+                                    >
+                                      {absent ? "Absent" : "In raid"}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="cell-csr">
+                                  {change && (
+                                    <span
+                                      className={`change-delta change-delta--${change.type}`}
+                                      title="Changed since your last visit"
+                                    >
+                                      {change.type === "added"
+                                        ? "New"
+                                        : formatDelta(change.delta)}
+                                    </span>
+                                  )}
+                                  <CsrBadge
+                                    value={row.value}
+                                    tier={tier}
+                                    palette={config.palette}
+                                  />
+                                </td>
+                                {extraColumns.map((column) => (
+                                  <td
+                                    key={column.index}
+                                    className="cell-extra"
+                                    title={cellText(row, column.index)}
+                                  >
+                                    <span className="cell-text">
+                                      {cellText(row, column.index)}
+                                    </span>
+                                  </td>
+                                ))}
+                              </tr>
+                            );
+                          })}
+                        {virtualRows.after > 0 && (
+                          <tr
+                            className="virtual-spacer"
+                            style={{ height: virtualRows.after }}
+                            aria-hidden
+                          />
+                        )}
                       </tbody>
                     </table>
                   </div>
                   <div className="source">
-                    Source: <a href={active.sourceUrl}>{active.sourceUrl}</a>
+                    {active.temporary ? (
+                      <>Source: local preview of {active.sourceLabel}</>
+                    ) : (
+                      <>
+                        Source:{" "}
+                        <a href={active.sourceUrl}>{active.sourceUrl}</a>
+                      </>
+                    )}
                   </div>
                 </>
               )}
@@ -645,6 +1480,93 @@ export default function App() {
           </article>
         )}
       </section>
+
+      {importOpen && (
+        <ImportDialog
+          strict={config.csvMode === "strict"}
+          onImport={importSheets}
+          onClose={closeImportDialog}
+        />
+      )}
+
+      {dragging && (
+        <div className="overlay drop-overlay">
+          <div className="drop-message">Drop CSV, TSV or XLSX to preview</div>
+        </div>
+      )}
+
+      {resolvingGroup && (
+        <ResolveDrop
+          key={resolvingGroup.key}
+          group={resolvingGroup}
+          onClose={closeResolver}
+        />
+      )}
+      {rosterOpen && (
+        <RosterDialog
+          text={rosterText}
+          realms={realms}
+          onSave={saveRoster}
+          onClose={closeRoster}
+        />
+      )}
     </div>
   );
 }
+
+export default function App() {
+  const [source, setSource] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadConfig(`${import.meta.env.BASE_URL}csr-config.json`).then((loaded) => {
+      if (!cancelled) {
+        setSource(loaded);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveSource = useCallback((layer) => {
+    saveConfig(layer);
+    removeConfigFromUrl();
+    setSource((prev) => ({
+      ...prev,
+      config: mergeConfig(prev.fileLayer, layer),
+    }));
+    window.location.hash = "#/";
+  }, []);
+
+  const resetSource = useCallback(() => {
+    try {
+      clearSavedConfig();
+    } catch {
+      // nothing saved to clear
+    }
+    removeConfigFromUrl();
+    setSource((prev) => ({
+      ...prev,
+      config: mergeConfig(prev.fileLayer),
+    }));
+  }, []);
+
+  if (!source) {
+    return (
+      <div className="app">
+        <div className="loading">Loading configuration…</div>
+      </div>
+    );
+  }
+
+  return (
+    <CsrPreview
+      key={JSON.stringify(source.config)}
+      config={source.config}
+      fileLayer={source.fileLayer}
+      onSaveConfig={saveSource}
+      onResetConfig={resetSource}
+    />
+  );
+}
@@ -0,0 +1,49 @@
+import { AUDIT_CHECKS } from "./audit.js";
+
+const MAX_LISTED = 50;
+
+// Problems found in the sheet's data, grouped by check. Each row number jumps
+// to that row in the table.
+export default function AuditPanel({ issues, onShowRow }) {
+  const groups = AUDIT_CHECKS.map((check) => ({
+    ...check,
+    issues: issues.filter((issue) => issue.kind === check.kind),
+  })).filter((group) => group.issues.length);
+
+  return (
+    <details className="audit notice">
+      <summary className="notice-title">
+        {`${issues.length} possible data problem${
+          issues.length === 1 ? "" : "s"
+        } in this sheet – worth fixing before raid night.`}
+      </summary>
+      {groups.map((group) => (
+        <section className="audit-group" key={group.kind}>
+          <h4>
+            {group.label} <span>({group.issues.length})</span>
+          </h4>
+          <ul className="notice-list">
+            {group.issues.slice(0, MAX_LISTED).map((issue) => (
+              <li key={`${issue.kind}-${issue.rows[0].rowNumber}`}>
+                {issue.message}{" "}
+                {issue.rows.map((row) => (
+                  <button
+                    key={row.rowNumber}
+                    className="audit-row"
+                    onClick={() => onShowRow(row)}
+                    title="Show this row in the table"
+                  >
+                    row {row.rowNumber}
+                  </button>
+                ))}
+              </li>
+            ))}
+            {group.issues.length > MAX_LISTED && (
+              <li>…and {group.issues.length - MAX_LISTED} more</li>
+            )}
+          </ul>
+        </section>
+      ))}
+    </details>
+  );
+}
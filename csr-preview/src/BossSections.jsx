@@ -0,0 +1,54 @@
+import ItemContention from "./ItemContention.jsx";
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// unmappedLabel heads the items no boss could be found for.
+export default function BossSections({
+  sections,
+  unmapped,
+  unmappedLabel = "Not in the loot table",
+  ...contention
+}) {
+  if (!sections.length && !unmapped.length) {
+    return <div className="empty-state">No reserved items match.</div>;
+  }
+
+  const unmappedCount = unmapped.reduce((sum, group) => sum + group.count, 0);
+
+  return (
+    <div className="boss-list">
+      {sections.map((section) => (
+        <details className="boss-section" key={section.key} open>
+          <summary className="boss-summary">
+            <span className="boss-name">
+              {section.step != null && (
+                <span className="boss-step">{section.step}</span>
+              )}
+              {section.boss}
+            </span>
+            {section.raid && <span className="boss-raid">{section.raid}</span>}
+            <span className="boss-count">
+              {plural(section.count, "reservation")} ·{" "}
+              {plural(section.groups.length, "item")}
+            </span>
+          </summary>
+          <ItemContention groups={section.groups} {...contention} />
+        </details>
+      ))}
+      {unmapped.length > 0 && (
+        <details className="boss-section boss-section--unmapped" open>
+          <summary className="boss-summary">
+            <span className="boss-name">{unmappedLabel}</span>
+            <span className="boss-count">
+              {plural(unmappedCount, "reservation")} ·{" "}
+              {plural(unmapped.length, "item")}
+            </span>
+          </summary>
+          <ItemContention groups={unmapped} {...contention} />
+        </details>
+      )}
+    </div>
+  );
+}
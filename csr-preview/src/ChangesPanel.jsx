@@ -0,0 +1,113 @@
+import { playerHref } from "./routes.js";
+import { formatDelta } from "./snapshots.js";
+
+function ChangeList({ title, entries, render }) {
+  if (!entries.length) {
+    return null;
+  }
+  return (
+    <div className="changes-group">
+      <h4>
+        {title} <span>({entries.length})</span>
+      </h4>
+      <ul>{entries.map(render)}</ul>
+    </div>
+  );
+}
+
+function PlayerLink({ name }) {
+  return (
+    <a className="cell-link" href={playerHref(name)}>
+      {name || "—"}
+    </a>
+  );
+}
+
+export default function ChangesPanel({ changes, since }) {
+  if (!since) {
+    return (
+      <div className="changes changes--empty">
+        History started. Changes will be highlighted on your next visit.
+      </div>
+    );
+  }
+
+  const sinceLabel = since.toLocaleString();
+
+  if (!changes.total) {
+    return (
+      <div className="changes changes--empty">
+        No changes since your last visit ({sinceLabel}).
+      </div>
+    );
+  }
+
+  const summary = [
+    changes.added.length && `${changes.added.length} new`,
+    changes.removed.length && `${changes.removed.length} removed`,
+    changes.increased.length && `${changes.increased.length} CSR up`,
+    changes.decreased.length && `${changes.decreased.length} CSR down`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return (
+    <details className="changes">
+      <summary>
+        Changed since your last visit ({sinceLabel}): <strong>{summary}</strong>
+      </summary>
+      <div className="changes-body">
+        <ChangeList
+          title="New reservations"
+          entries={changes.added}
+          render={(row) => (
+            <li key={`added-${row.rowNumber}`}>
+              <PlayerLink name={row.name} /> — {row.item}{" "}
+              <span className="change-value">{row.value || "-"}</span>
+            </li>
+          )}
+        />
+        <ChangeList
+          title="Removed reservations"
+          entries={changes.removed}
+          render={(row) => (
+            <li key={`removed-${row.rowNumber}-${row.name}`}>
+              <PlayerLink name={row.name} /> — {row.item}{" "}
+              <span className="change-value">{row.value || "-"}</span>
+            </li>
+          )}
+        />
+        <ChangeList
+          title="CSR increased"
+          entries={changes.increased}
+          render={({ row, from, to, delta }) => (
+            <li key={`up-${row.rowNumber}`}>
+              <PlayerLink name={row.name} /> — {row.item}{" "}
+              <span className="change-value">
+                {from || "-"} → {to || "-"}
+              </span>{" "}
+              <span className="change-delta change-delta--increased">
+                {formatDelta(delta)}
+              </span>
+            </li>
+          )}
+        />
+        <ChangeList
+          title="CSR decreased"
+          entries={changes.decreased}
+          render={({ row, from, to, delta }) => (
+            <li key={`down-${row.rowNumber}`}>
+              <PlayerLink name={row.name} /> — {row.item}{" "}
+              <span className="change-value">
+                {from || "-"} → {to || "-"}
+              </span>{" "}
+              <span className="change-delta change-delta--decreased">
+                {formatDelta(delta)}
+              </span>
+            </li>
+          )}
+        />
+      </div>
+    </details>
+  );
+}
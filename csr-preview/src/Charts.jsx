@@ -0,0 +1,157 @@
+// Small dependency-free SVG charts for the stats page. Sizes are in viewBox
+// units; the SVGs scale to the width of their container.
+
+const BAR_GAP = 2;
+
+export function Histogram({ bins, label }) {
+  const width = 320;
+  const height = 120;
+  const plot = height - 18;
+  const max = Math.max(1, ...bins.map((bin) => bin.count));
+  const barWidth = width / Math.max(1, bins.length);
+
+  return (
+    <svg
+      className="chart chart--histogram"
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+    >
+      {bins.map((bin, index) => {
+        const barHeight = (bin.count / max) * (plot - 12);
+        const x = index * barWidth;
+        return (
+          <g key={bin.from}>
+            <title>{`${bin.from} ≤ x < ${bin.to}: ${bin.count}`}</title>
+            <rect
+              className="chart-bar"
+              x={x + BAR_GAP / 2}
+              y={plot - barHeight}
+              width={Math.max(1, barWidth - BAR_GAP)}
+              height={barHeight}
+            />
+            {bin.count > 0 && barWidth >= 16 && (
+              <text
+                className="chart-value"
+                x={x + barWidth / 2}
+                y={plot - barHeight - 3}
+                textAnchor="middle"
+              >
+                {bin.count}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line className="chart-axis" x1={0} x2={width} y1={plot} y2={plot} />
+      {bins.length > 0 && (
+        <>
+          <text className="chart-label" x={0} y={height - 4}>
+            {bins[0].from}
+          </text>
+          <text
+            className="chart-label"
+            x={width}
+            y={height - 4}
+            textAnchor="end"
+          >
+            {bins[bins.length - 1].to}
+          </text>
+        </>
+      )}
+    </svg>
+  );
+}
+
+// entries: [{ key, label, value, href? }]
+export function BarList({ entries, label, format = String }) {
+  const width = 480;
+  const row = 24;
+  const labelWidth = 220;
+  const valueWidth = 48;
+  const max = Math.max(1, ...entries.map((entry) => entry.value));
+  const span = width - labelWidth - valueWidth;
+
+  return (
+    <svg
+      className="chart chart--bars"
+      viewBox={`0 0 ${width} ${entries.length * row}`}
+      role="img"
+      aria-label={label}
+    >
+      {entries.map((entry, index) => {
+        const y = index * row;
+        const text = (
+          <text className="chart-label" x={0} y={y + row / 2 + 4}>
+            {entry.label.length > 32
+              ? `${entry.label.slice(0, 31)}…`
+              : entry.label}
+          </text>
+        );
+        return (
+          <g key={entry.key}>
+            <title>{`${entry.label}: ${format(entry.value)}`}</title>
+            {entry.href ? <a href={entry.href}>{text}</a> : text}
+            <rect
+              className="chart-bar"
+              x={labelWidth}
+              y={y + 4}
+              width={Math.max(1, (entry.value / max) * span)}
+              height={row - 8}
+              rx={3}
+            />
+            <text
+              className="chart-value"
+              x={width}
+              y={y + row / 2 + 4}
+              textAnchor="end"
+            >
+              {format(entry.value)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// segments: [{ key, label, count, color }] drawn as one 100% bar.
+export function StackedBar({ segments, label }) {
+  const width = 320;
+  const height = 18;
+  const total = segments.reduce((sum, segment) => sum + segment.count, 0);
+  const starts = segments.map((_, index) =>
+    segments
+      .slice(0, index)
+      .reduce((sum, segment) => sum + (total ? segment.count / total : 0), 0)
+  );
+
+  return (
+    <svg
+      className="chart chart--stacked"
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={label}
+      preserveAspectRatio="none"
+    >
+      {total === 0 && (
+        <rect className="chart-empty" width={width} height={height} rx={4} />
+      )}
+      {segments.map((segment, index) => {
+        const segmentWidth = total ? (segment.count / total) * width : 0;
+        return (
+          <rect
+            key={segment.key}
+            x={starts[index] * width}
+            width={segmentWidth}
+            height={height}
+            fill={segment.color ?? undefined}
+            className={segment.color ? undefined : "chart-empty"}
+          >
+            <title>{`${segment.label}: ${segment.count}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from "react";
+
+// Checkboxes for the sheet's other columns; picked ones are added to the
+// table after the CSR column.
+export default function ColumnPicker({ columns, picked, onToggle }) {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const shown = new Set(picked.map((column) => column.index));
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    function handlePointer(event) {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener("pointerdown", handlePointer);
+    return () => document.removeEventListener("pointerdown", handlePointer);
+  }, [open]);
+
+  return (
+    <div className="column-picker" ref={menuRef}>
+      <button
+        className="btn ghost"
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+        title="Show other columns from the sheet"
+      >
+        {picked.length ? `Columns (${picked.length})` : "Columns"}
+      </button>
+      {open && (
+        <div className="column-panel" role="menu">
+          {columns.length ? (
+            <p className="module-meta">
+              Picked columns are saved for this sheet. Click a header to sort,
+              search with the field shown, e.g. class:warrior.
+            </p>
+          ) : (
+            <p className="module-meta">
+              This sheet has no columns besides item, name and CSR.
+            </p>
+          )}
+          {columns.map((column) => (
+            <label className="column-option" key={column.index}>
+              <input
+                type="checkbox"
+                checked={shown.has(column.index)}
+                onChange={() => onToggle(column.index)}
+              />
+              <span>{column.label}</span>
+              {column.key && <code>{column.key}:</code>}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import { tierStyle } from "./tiers.js";
+
+export default function CsrBadge({ value, tier, palette }) {
+  return (
+    <span
+      className={`csr-badge ${tier.className}`}
+      style={tierStyle(tier, palette)}
+      title={tier.label}
+    >
+      <strong>{value || "-"}</strong>
+    </span>
+  );
+}
@@ -0,0 +1,180 @@
+import { useEffect, useRef, useState } from "react";
+import { copyText } from "./clipboard.js";
+import {
+  DISCORD_LIMIT,
+  EXPORT_FORMATS,
+  buildDiscordMessages,
+  downloadText,
+  exportFileName,
+  formatRows,
+} from "./export.js";
+
+function DiscordMessages({ messages, onClose }) {
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => {
+    function handleKey(event) {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  async function copyMessage(index) {
+    try {
+      await copyText(messages[index]);
+      setCopied(index);
+    } catch {
+      setCopied(null);
+    }
+  }
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="dialog dialog--wide"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Discord messages"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="dialog-header">
+          <h3>
+            Discord · {messages.length} message
+            {messages.length === 1 ? "" : "s"}
+          </h3>
+          <button className="btn ghost small" onClick={onClose}>
+            Close
+          </button>
+        </header>
+        <p className="module-meta">
+          Each message is under {DISCORD_LIMIT} characters. Copy and post them
+          in order.
+        </p>
+        {messages.map((message, index) => (
+          <section className="discord-message" key={index}>
+            <header>
+              <span>
+                Message {index + 1} · {message.length} characters
+              </span>
+              <button
+                className={`btn small ${copied === index ? "" : "primary"}`}
+                onClick={() => copyMessage(index)}
+              >
+                {copied === index ? "Copied" : "Copy"}
+              </button>
+            </header>
+            <pre>{message}</pre>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function ExportMenu({ rows, sheetName, tiers }) {
+  const [open, setOpen] = useState(false);
+  const [status, setStatus] = useState("");
+  const [discordMessages, setDiscordMessages] = useState(null);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    function handlePointer(event) {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener("pointerdown", handlePointer);
+    return () => document.removeEventListener("pointerdown", handlePointer);
+  }, [open]);
+
+  useEffect(() => {
+    if (!status) {
+      return undefined;
+    }
+    const timeout = setTimeout(() => setStatus(""), 1600);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  async function copyFormat(format) {
+    if (!rows.length) {
+      setStatus("Nothing to export");
+      return;
+    }
+    if (format.key === "discord") {
+      const messages = buildDiscordMessages(rows, sheetName);
+      if (messages.length > 1) {
+        setOpen(false);
+        setDiscordMessages(messages);
+        return;
+      }
+    }
+    try {
+      await copyText(formatRows(rows, format.key, sheetName, tiers));
+      setStatus(`${format.label} copied`);
+    } catch {
+      setStatus("Copy failed");
+    }
+  }
+
+  function downloadFormat(format) {
+    if (!rows.length) {
+      setStatus("Nothing to export");
+      return;
+    }
+    downloadText(
+      formatRows(rows, format.key, sheetName, tiers),
+      exportFileName(sheetName, format.extension),
+      format.type
+    );
+    setOpen(false);
+  }
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        className="btn ghost"
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        {status || "Export"}
+      </button>
+      {open && (
+        <div className="export-panel" role="menu">
+          <p className="module-meta">
+            {rows.length} row{rows.length === 1 ? "" : "s"} as currently
+            filtered and sorted
+          </p>
+          {EXPORT_FORMATS.map((format) => (
+            <div className="export-row" key={format.key}>
+              <span>{format.label}</span>
+              <button
+                className="btn ghost small"
+                onClick={() => copyFormat(format)}
+              >
+                Copy
+              </button>
+              <button
+                className="btn ghost small"
+                onClick={() => downloadFormat(format)}
+              >
+                Download
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      {discordMessages && (
+        <DiscordMessages
+          messages={discordMessages}
+          onClose={() => setDiscordMessages(null)}
+        />
+      )}
+    </div>
+  );
+}
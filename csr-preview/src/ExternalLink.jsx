@@ -0,0 +1,18 @@
+// An outside link (item database, armory) that degrades to plain text when
+// the configured provider has no URL for it.
+export default function ExternalLink({ href, className, title, children }) {
+  if (!href) {
+    return <span className={className}>{children}</span>;
+  }
+  return (
+    <a
+      className={className}
+      href={href}
+      target="_blank"
+      rel="noreferrer"
+      title={title}
+    >
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,16 @@
+import { highlightParts } from "./fuzzy.js";
+
+export default function Highlight({ text, ranges }) {
+  if (!ranges?.length) {
+    return text;
+  }
+  return highlightParts(text, ranges).map((part, index) =>
+    part.mark ? (
+      <mark key={index} className="match">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+}
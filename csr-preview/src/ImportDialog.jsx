@@ -0,0 +1,99 @@
+import { useEffect, useState } from "react";
+import {
+  IMPORT_ACCEPT,
+  readImportFiles,
+  readPastedText,
+} from "./importFile.js";
+
+export default function ImportDialog({ strict, onImport, onClose }) {
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    function handleKey(event) {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  async function importFiles(files) {
+    if (!files.length) {
+      return;
+    }
+    setBusy(true);
+    setError("");
+    try {
+      onImport(await readImportFiles(files, { strict }));
+    } catch (importError) {
+      setError(importError.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function importText() {
+    if (!text.trim()) {
+      setError("Paste some rows first.");
+      return;
+    }
+    onImport(readPastedText(text, { strict }));
+  }
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Preview a local file"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="dialog-header">
+          <h3>Preview a local file</h3>
+          <button className="btn ghost small" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <p className="module-meta">
+          CSV, TSV and XLSX files open as temporary tabs and use the same
+          column settings as the live sheets. Nothing is uploaded.
+        </p>
+
+        <label className="drop-zone">
+          <input
+            type="file"
+            accept={IMPORT_ACCEPT}
+            multiple
+            onChange={(event) => importFiles(event.target.files)}
+            disabled={busy}
+          />
+          <span>{busy ? "Reading…" : "Choose files or drop them here"}</span>
+        </label>
+
+        <label className="settings-field">
+          <span>Or paste rows</span>
+          <textarea
+            rows={6}
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            placeholder="Copied cells from a spreadsheet, or CSV text"
+            spellCheck={false}
+          />
+        </label>
+
+        {error && <div className="error">{error}</div>}
+
+        <div className="dialog-actions">
+          <button className="btn primary" onClick={importText}>
+            Preview pasted rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import CsrBadge from "./CsrBadge.jsx";
+import { csrTier } from "./csr.js";
+import ItemName from "./ItemName.jsx";
+import { playerHref } from "./routes.js";
+
+export default function ItemContention({
+  groups,
+  tiers,
+  palette,
+  items,
+  raid,
+  icons,
+  itemHref,
+  onResolve,
+}) {
+  if (!groups.length) {
+    return <div className="empty-state">No reserved items match.</div>;
+  }
+
+  return (
+    <div className="contention-list">
+      {groups.map((group) => (
+        <section className="contention" key={group.key}>
+          <header className="contention-header">
+            <ItemName
+              name={group.item}
+              items={items}
+              raid={raid}
+              icons={icons}
+              href={itemHref(group.item)}
+              className="cell-link contention-item"
+            />
+            <span className="contention-flags">
+              {group.uncontested && (
+                <span className="flag flag--free">Uncontested</span>
+              )}
+              {group.tiedForTop && (
+                <span className="flag flag--tie">Tie for top</span>
+              )}
+              <span className="contention-count">
+                {group.count} contender{group.count === 1 ? "" : "s"}
+              </span>
+              <button
+                className="btn ghost small contention-resolve"
+                onClick={() => onResolve(group.key)}
+              >
+                Resolve drop
+              </button>
+            </span>
+          </header>
+          <ol className="contenders">
+            {group.contenders.map(({ row, rank, tied }) => {
+              const tier = csrTier(row.csrNumber, tiers);
+              return (
+                <li
+                  key={`${row.rowNumber}-${row.name}`}
+                  className={rank === 1 ? "contender contender--top" : "contender"}
+                >
+                  <span className="contender-rank">
+                    {rank}
+                    {tied ? "=" : ""}
+                  </span>
+                  <a
+                    className="cell-link contender-name"
+                    href={playerHref(row.name)}
+                    title={`Show all reservations for ${row.name}`}
+                  >
+                    {row.name || "—"}
+                  </a>
+                  <CsrBadge value={row.value} tier={tier} palette={palette} />
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useEffect, useState } from "react";
+import { createPortal } from "react-dom";
+import ExternalLink from "./ExternalLink.jsx";
+import { coversRaid, itemIconUrl, lookupItem } from "./items.js";
+
+function ItemIcon({ item, icons }) {
+  const [failed, setFailed] = useState(false);
+  const src = itemIconUrl(item, icons);
+  if (!src || failed) {
+    return <span className={`item-icon-empty quality-${item.quality}`} />;
+  }
+  return (
+    <img src={src} alt="" loading="lazy" onError={() => setFailed(true)} />
+  );
+}
+
+function ItemTooltip({ item, icons, anchor }) {
+  // Below the name, or above it when there is no room left underneath.
+  const below = anchor.bottom + 180 < window.innerHeight;
+  const style = {
+    left: Math.max(8, Math.min(anchor.left, window.innerWidth - 288)),
+    ...(below
+      ? { top: anchor.bottom + 6 }
+      : { bottom: window.innerHeight - anchor.top + 6 }),
+  };
+  return createPortal(
+    <div className="item-tooltip" role="tooltip" style={style}>
+      <div className="item-tooltip-head">
+        <span className="item-icon">
+          <ItemIcon item={item} icons={icons} />
+        </span>
+        <strong className={`quality-${item.quality}`}>{item.name}</strong>
+      </div>
+      <div className="item-tooltip-meta">
+        <span className={`quality-${item.quality}`}>{item.quality}</span>
+        {item.slot && <span>{item.slot}</span>}
+      </div>
+      {item.boss && (
+        <div>
+          Drops from {item.boss}
+          {item.raid ? ` (${item.raid})` : ""}
+        </div>
+      )}
+      {item.id != null && <div className="item-tooltip-id">Item {item.id}</div>}
+    </div>,
+    document.body
+  );
+}
+
+// An item name with its icon, quality color and a tooltip on hover or on a
+// tap of the icon. Names missing from the item list get a warning mark when
+// a close name exists or the list covers raid (the sheet's raid).
+export default function ItemName({
+  name,
+  items,
+  raid,
+  icons,
+  href,
+  className = "cell-link",
+  children,
+}) {
+  const [tooltip, setTooltip] = useState(null);
+  const match = lookupItem(items, name);
+  const item = match?.item;
+  const open = Boolean(tooltip);
+
+  // The tooltip is placed once, so it closes rather than drifting away
+  // when the page scrolls.
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    function close(event) {
+      if (event.type !== "keydown" || event.key === "Escape") {
+        setTooltip(null);
+      }
+    }
+    window.addEventListener("pointerdown", close);
+    window.addEventListener("keydown", close);
+    window.addEventListener("scroll", close, true);
+    return () => {
+      window.removeEventListener("pointerdown", close);
+      window.removeEventListener("keydown", close);
+      window.removeEventListener("scroll", close, true);
+    };
+  }, [open]);
+
+  function show(event, pinned = false) {
+    setTooltip({ anchor: event.currentTarget.getBoundingClientRect(), pinned });
+  }
+
+  function hide() {
+    setTooltip((prev) => (prev?.pinned ? prev : null));
+  }
+
+  const link = (
+    <ExternalLink
+      className={`${className}${item ? ` quality-${item.quality}` : ""}`}
+      href={href}
+      title={`Open item in database: ${name}`}
+    >
+      {children ?? name}
+    </ExternalLink>
+  );
+
+  if (!item) {
+    const flagged =
+      match && (match.suggestion || coversRaid(items, raid));
+    const unknown = flagged && (
+      <span
+        className="item-unknown"
+        title={
+          match.suggestion
+            ? `Not in the item list. Did you mean ${match.suggestion.name}?`
+            : "Not in the item list. Check the spelling."
+        }
+      >
+        ?
+      </span>
+    );
+    return (
+      <span className="item-name">
+        {link}
+        {unknown}
+      </span>
+    );
+  }
+
+  return (
+    <span
+      className="item-name"
+      onMouseEnter={(event) => show(event)}
+      onMouseLeave={hide}
+    >
+      <button
+        type="button"
+        className="item-icon"
+        aria-label={`Show details for ${item.name}`}
+        aria-expanded={Boolean(tooltip?.pinned)}
+        onPointerDown={(event) => event.stopPropagation()}
+        onClick={(event) =>
+          tooltip?.pinned ? setTooltip(null) : show(event, true)
+        }
+        onFocus={(event) => show(event)}
+        onBlur={hide}
+      >
+        <ItemIcon item={item} icons={icons} />
+      </button>
+      {link}
+      {tooltip && (
+        <ItemTooltip item={item} icons={icons} anchor={tooltip.anchor} />
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,35 @@
+import { settingsHref } from "./routes.js";
+
+export default function ParseNotes({ parse }) {
+  const hidden = parse.issueCount - parse.issues.length;
+  return (
+    <details
+      className={`parse-notes ${parse.error ? "error" : "notice"}`}
+      open={Boolean(parse.error)}
+    >
+      <summary className="notice-title">
+        {parse.error
+          ? "This sheet is not valid CSV, so it is not shown."
+          : `${parse.issueCount} parse warning${
+              parse.issueCount === 1 ? "" : "s"
+            } – affected rows were read on a best-effort basis.`}
+      </summary>
+      {parse.error && <p>{parse.error}</p>}
+      {!parse.error && (
+        <ul className="notice-list">
+          {parse.issues.map((issue) => (
+            <li key={`${issue.row}-${issue.column}-${issue.message}`}>
+              Row {issue.row}, column {issue.column}: {issue.message}
+            </li>
+          ))}
+          {hidden > 0 && <li>…and {hidden} more</li>}
+        </ul>
+      )}
+      {parse.issues.length > 0 && (
+        <a className="notice-link" href={settingsHref()}>
+          Parsing settings
+        </a>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,81 @@
+import { playerHref, sheetHref } from "./routes.js";
+
+// Chips with each pinned character's best CSR per raid, and a notice when
+// their reservations changed since the last visit.
+export default function PinnedBar({
+  pins,
+  alerts,
+  activeSheet,
+  loading,
+  onUnpin,
+  onDismiss,
+}) {
+  return (
+    <section className="pinned" aria-label="My characters">
+      {alerts.length > 0 && (
+        <div className="notice pin-alerts" role="status">
+          <p className="notice-title">
+            Your characters changed since your last visit
+          </p>
+          <ul className="notice-list">
+            {alerts.map((alert) => (
+              <li key={alert.key} className={`pin-alert--${alert.type}`}>
+                <a className="notice-link" href={playerHref(alert.row.name)}>
+                  {alert.row.name}
+                </a>{" "}
+                in{" "}
+                <a className="notice-link" href={sheetHref(alert.sheet)}>
+                  {alert.sheet}
+                </a>
+                : {alert.text}
+              </li>
+            ))}
+          </ul>
+          <button className="btn ghost small" onClick={onDismiss}>
+            Dismiss
+          </button>
+        </div>
+      )}
+      <ul className="pin-chips">
+        {pins.map((pin) => (
+          <li className="pin-chip" key={pin.name}>
+            <a
+              className="pin-name"
+              href={playerHref(pin.name)}
+              title={`Show all reservations for ${pin.name}`}
+            >
+              ★ {pin.name}
+            </a>
+            {pin.raids.map((raid) => (
+              <a
+                key={raid.sheet}
+                className={`pin-raid ${
+                  raid.sheet === activeSheet ? "active" : ""
+                }`}
+                href={sheetHref(raid.sheet)}
+                title={raid.rows
+                  .map((row) => `${row.item}: ${row.value || "-"}`)
+                  .join("\n")}
+              >
+                {raid.sheet} <strong>{raid.best ?? "-"}</strong>
+              </a>
+            ))}
+            {!pin.raids.length && (
+              <span className="pin-raid">
+                {loading ? "Loading…" : "No reservations"}
+              </span>
+            )}
+            <button
+              className="pin-remove"
+              onClick={() => onUnpin(pin.name)}
+              aria-label={`Unpin ${pin.name}`}
+              title="Unpin"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
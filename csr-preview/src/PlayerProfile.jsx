@@ -0,0 +1,157 @@
+import { useMemo } from "react";
+import CsrBadge from "./CsrBadge.jsx";
+import { csrTier, normalizeName } from "./csr.js";
+import ItemName from "./ItemName.jsx";
+import { sheetRaid } from "./items.js";
+import { characterUrl, itemUrl } from "./links.js";
+import { sheetHref } from "./routes.js";
+import { tiersForSheet } from "./tiers.js";
+
+function collectReservations(sheets, name) {
+  const target = normalizeName(name);
+  return sheets.map((sheet) => {
+    const rows = sheet.rows
+      .filter((row) => normalizeName(row.name) === target)
+      .sort((a, b) => (b.csrNumber ?? -Infinity) - (a.csrNumber ?? -Infinity));
+    const total = rows.reduce((sum, row) => sum + (row.csrNumber ?? 0), 0);
+    return { sheet, rows, total };
+  });
+}
+
+export default function PlayerProfile({
+  name,
+  sheets,
+  config,
+  items,
+  pinned,
+  onTogglePin,
+  backHref,
+}) {
+  const raids = useMemo(() => collectReservations(sheets, name), [sheets, name]);
+
+  const reserved = raids.filter((raid) => raid.rows.length);
+  const pending = sheets.filter((sheet) => sheet.status === "loading").length;
+  const failed = sheets.filter((sheet) => sheet.status === "error");
+  const totalRows = reserved.reduce((sum, raid) => sum + raid.rows.length, 0);
+  const totalCsr = reserved.reduce((sum, raid) => sum + raid.total, 0);
+  const displayName = reserved[0]?.rows[0]?.name ?? name;
+  // The armory realm follows the first raid the player reserved in.
+  const armoryUrl = characterUrl(config, reserved[0]?.sheet.name, displayName);
+
+  return (
+    <article className="sheet ready profile">
+      <header className="module-header">
+        <div className="module-title">
+          <div>
+            <h2>{displayName}</h2>
+            <p className="module-meta">
+              {totalRows} reservation{totalRows === 1 ? "" : "s"} across{" "}
+              {reserved.length} raid{reserved.length === 1 ? "" : "s"} · total
+              CSR {totalCsr}
+            </p>
+          </div>
+        </div>
+        <div className="module-actions">
+          <button
+            className={`btn small ${pinned ? "active" : "ghost"}`}
+            aria-pressed={pinned}
+            onClick={() => onTogglePin(displayName)}
+            title="Pinned characters are highlighted on every sheet"
+          >
+            {pinned ? "★ Pinned" : "☆ Pin"}
+          </button>
+          {armoryUrl && (
+            <a
+              className="btn ghost small"
+              href={armoryUrl}
+              target="_blank"
+              rel="noreferrer"
+            >
+              Armory
+            </a>
+          )}
+          <a className="btn primary" href={backHref}>
+            Back to sheet
+          </a>
+        </div>
+      </header>
+
+      <div className="module-body">
+        {pending > 0 && (
+          <div className="loading">
+            Still loading {pending} sheet{pending === 1 ? "" : "s"}…
+          </div>
+        )}
+        {failed.length > 0 && (
+          <div className="error">
+            Could not load {failed.map((sheet) => sheet.name).join(", ")}.
+            Reservations there are not shown.
+          </div>
+        )}
+        {!pending && !reserved.length && (
+          <div className="empty-state">
+            No reservations found for {name}.
+          </div>
+        )}
+
+        {reserved.map(({ sheet, rows, total }) => (
+          <section className="profile-raid" key={sheet.name}>
+            <header className="profile-raid-header">
+              <h3>
+                <a href={sheetHref(sheet.name)}>{sheet.name}</a>
+              </h3>
+              <span className="profile-raid-total">
+                {rows.length} item{rows.length === 1 ? "" : "s"} · CSR {total}
+              </span>
+            </header>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th className="col-item">Item</th>
+                    <th className="col-name">Tier</th>
+                    <th className="col-csr csr-header">
+                      <span className="label-full">CSR Value</span>
+                      <span className="label-short">CSR</span>
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row) => {
+                    const tier = csrTier(
+                      row.csrNumber,
+                      tiersForSheet(config, sheet.name)
+                    );
+                    return (
+                      <tr key={`${sheet.name}-${row.rowNumber}`}>
+                        <td className="cell-item" title={row.item}>
+                          <ItemName
+                            name={row.item}
+                            items={items}
+                            raid={sheetRaid(config, sheet.name)}
+                            icons={config.itemData.icons}
+                            href={itemUrl(config, sheet.name, row.item)}
+                          >
+                            <span className="cell-text">{row.item}</span>
+                          </ItemName>
+                        </td>
+                        <td className="cell-tier">{tier.label}</td>
+                        <td className="cell-csr">
+                          <CsrBadge
+                            value={row.value}
+                            tier={tier}
+                            palette={config.palette}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        ))}
+      </div>
+    </article>
+  );
+}
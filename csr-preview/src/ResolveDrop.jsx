@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useState } from "react";
+import { copyText } from "./clipboard.js";
+import {
+  RULES,
+  formatResolution,
+  randomSeed,
+  resolveDrop,
+} from "./roll.js";
+
+function readSavedRule() {
+  try {
+    const saved = localStorage.getItem("csrResolveRule");
+    return RULES.some((rule) => rule.key === saved) ? saved : RULES[0].key;
+  } catch {
+    return RULES[0].key;
+  }
+}
+
+export default function ResolveDrop({ group, onClose }) {
+  const [rule, setRule] = useState(readSavedRule);
+  const [seed, setSeed] = useState(randomSeed);
+  const [copyStatus, setCopyStatus] = useState("Copy result");
+
+  const resolution = useMemo(
+    () =>
+      resolveDrop({
+        item: group.item,
+        rows: group.contenders.map(({ row }) => row),
+        rule,
+        seed,
+      }),
+    [group, rule, seed]
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem("csrResolveRule", rule);
+    } catch {
+      // ignore storage errors
+    }
+  }, [rule]);
+
+  useEffect(() => {
+    function handleKey(event) {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (copyStatus !== "Copy result") {
+      const timeout = setTimeout(() => setCopyStatus("Copy result"), 1600);
+      return () => clearTimeout(timeout);
+    }
+    return undefined;
+  }, [copyStatus]);
+
+  async function copyResult() {
+    try {
+      await copyText(formatResolution(resolution));
+      setCopyStatus("Copied");
+    } catch {
+      setCopyStatus("Copy failed");
+    }
+  }
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Resolve ${group.item}`}
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="dialog-header">
+          <h3>{group.item}</h3>
+          <button className="btn ghost small" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="dialog-fields">
+          <label className="filter-field">
+            <span>Rule</span>
+            <select
+              value={rule}
+              onChange={(event) => setRule(event.target.value)}
+            >
+              {RULES.map((option) => (
+                <option key={option.key} value={option.key}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="filter-field">
+            <span>Seed</span>
+            <input
+              value={seed}
+              onChange={(event) => setSeed(event.target.value)}
+              spellCheck={false}
+            />
+          </label>
+          <button
+            className="btn ghost small"
+            onClick={() => setSeed(randomSeed())}
+          >
+            Reroll
+          </button>
+        </div>
+
+        <ol className="resolution">
+          {resolution.results.map((entry) => (
+            <li
+              key={`${entry.row.rowNumber}-${entry.name}`}
+              className={
+                entry.place === 1 ? "resolution-row winner" : "resolution-row"
+              }
+            >
+              <span className="contender-rank">{entry.place}</span>
+              <span className="resolution-name">{entry.name}</span>
+              <span className="resolution-detail">
+                {rule === "roll-plus-csr"
+                  ? `${entry.roll} + ${entry.csr} = ${entry.total}`
+                  : `CSR ${entry.csr} · roll ${entry.roll}`}
+                {entry.tiebreaks.length > 0 &&
+                  ` · tiebreak ${entry.tiebreaks.join(", ")}`}
+              </span>
+            </li>
+          ))}
+        </ol>
+
+        <p className="module-meta">
+          Anyone can re-check this result by entering the same seed for the
+          same reservations.
+        </p>
+
+        <div className="dialog-actions">
+          <button className="btn primary" onClick={copyResult}>
+            {copyStatus}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { parseRoster } from "./roster.js";
+
+export default function RosterDialog({ text, realms, onSave, onClose }) {
+  const [draft, setDraft] = useState(text);
+  const count = parseRoster(draft, { realms }).names.length;
+
+  useEffect(() => {
+    function handleKey(event) {
+      if (event.key === "Escape") {
+        onClose();
+      }
+    }
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <div
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Raid roster"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <header className="dialog-header">
+          <h3>Raid roster</h3>
+          <button className="btn ghost small" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <p className="module-meta">
+          Paste tonight&apos;s raid: one name per line, or a raid-frame or addon
+          export. Reservations from players not in the roster are marked absent
+          and left out of item contention and drop resolution.
+        </p>
+
+        <label className="settings-field">
+          <span>
+            Roster ({count} player{count === 1 ? "" : "s"} found)
+          </span>
+          <textarea
+            rows={10}
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            placeholder={"Thrall\nJaina\nGroup 2: Rexxar, Cairne"}
+            spellCheck={false}
+            autoFocus
+          />
+        </label>
+
+        <div className="dialog-actions">
+          {text && (
+            <button className="btn ghost" onClick={() => onSave("")}>
+              Clear roster
+            </button>
+          )}
+          <button
+            className="btn primary"
+            onClick={() => onSave(draft)}
+            disabled={!count && !text}
+          >
+            Use roster
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
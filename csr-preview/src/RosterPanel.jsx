@@ -0,0 +1,52 @@
+import { playerHref } from "./routes.js";
+
+export default function RosterPanel({
+  roster,
+  status,
+  presentOnly,
+  onTogglePresent,
+  onEdit,
+}) {
+  return (
+    <div className="changes roster-panel">
+      <div className="roster-summary">
+        <span>
+          Roster of {roster.names.length}:{" "}
+          <strong>
+            {status.present.length} reservation
+            {status.present.length === 1 ? "" : "s"} present ·{" "}
+            {status.absent.length} absent
+          </strong>
+        </span>
+        <span className="roster-actions">
+          <button
+            className={`btn small ${presentOnly ? "active" : "ghost"}`}
+            aria-pressed={presentOnly}
+            onClick={onTogglePresent}
+          >
+            In raid only
+          </button>
+          <button className="btn ghost small" onClick={onEdit}>
+            Edit roster
+          </button>
+        </span>
+      </div>
+      {status.unreserved.length > 0 && (
+        <details className="roster-unreserved">
+          <summary>
+            In the raid without a reservation ({status.unreserved.length})
+          </summary>
+          <ul>
+            {status.unreserved.map((name) => (
+              <li key={name}>
+                <a className="cell-link" href={playerHref(name)}>
+                  {name}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
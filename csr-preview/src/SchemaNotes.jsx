@@ -0,0 +1,21 @@
+import { settingsHref } from "./routes.js";
+
+export default function SchemaNotes({ schema }) {
+  return (
+    <div className={schema.error ? "error" : "notice"} role="status">
+      {schema.error && (
+        <p className="notice-title">
+          This sheet's columns could not be identified, so it is not shown.
+        </p>
+      )}
+      <ul className="notice-list">
+        {schema.diagnostics.map((entry) => (
+          <li key={entry.message}>{entry.message}</li>
+        ))}
+      </ul>
+      <a className="notice-link" href={settingsHref()}>
+        Column settings
+      </a>
+    </div>
+  );
+}
@@ -0,0 +1,734 @@
+import { useState } from "react";
+import { copyText } from "./clipboard.js";
+import { formatInterval } from "./refresh.js";
+import {
+  COLUMN_FIELDS,
+  columnIndex,
+  columnLetter,
+  configToUrlParams,
+  CSV_MODES,
+  hasConfigInUrl,
+  MIN_REFRESH_INTERVAL,
+  mergeConfig,
+  normalizeConfigLayer,
+} from "./config.js";
+import { BUILTIN_PROVIDERS, linkProviders } from "./links.js";
+import {
+  COLOR_NAMES,
+  PALETTE_LABELS,
+  PALETTES,
+  normalizeTiers,
+} from "./tiers.js";
+
+const COLUMN_LABELS = { item: "Item", name: "Name", value: "CSR value" };
+const REFRESH_OPTIONS = [0, 30, 60, 120, 300, 600];
+const CSV_MODE_LABELS = {
+  lenient: "Lenient – read past malformed rows and list warnings",
+  strict: "Strict – reject a sheet at the first CSV error",
+};
+
+function formatTabs(sheets) {
+  return sheets
+    .map((sheet) => (sheet.gid ? `${sheet.name} | ${sheet.gid}` : sheet.name))
+    .join("\n");
+}
+
+function parseTabs(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [name, gid] = line.split("|").map((part) => part.trim());
+      return { name, gid: gid || null };
+    });
+}
+
+// "75 | High | gold" per tier; "*" marks the catch-all lowest tier.
+function formatTiers(tiers) {
+  if (!tiers) {
+    return "";
+  }
+  return tiers
+    .map((tier) => [tier.min ?? "*", tier.label, tier.color].join(" | "))
+    .join("\n");
+}
+
+function parseTiers(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const errors = [];
+  const tiers = lines.map((line) => {
+    const [min = "", label = "", color = ""] = line
+      .split("|")
+      .map((part) => part.trim());
+    if (min !== "*" && !Number.isFinite(Number(min || NaN))) {
+      errors.push(`"${line}" must start with a number or *.`);
+    }
+    if (
+      color &&
+      !COLOR_NAMES.includes(color) &&
+      !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)
+    ) {
+      errors.push(`"${color}" is not a color name or #hex value.`);
+    }
+    return { label, min: min === "*" ? null : min, color };
+  });
+  return { tiers: lines.length ? normalizeTiers(tiers) : null, errors };
+}
+
+// "BWL CSR | Nordanaar", optionally followed by "| item provider | armory
+// provider".
+function formatSheetLinks(sheets) {
+  return Object.entries(sheets)
+    .map(([sheet, links]) =>
+      [sheet, links.realm ?? "", links.items ?? "", links.characters ?? ""]
+        .join(" | ")
+        .replace(/( \| )+$/, "")
+    )
+    .join("\n");
+}
+
+function parseSheetLinks(text) {
+  return Object.fromEntries(
+    text
+      .split("\n")
+      .map((line) => line.split("|").map((part) => part.trim()))
+      .filter(([sheet]) => sheet)
+      .map(([sheet, realm, items, characters]) => [
+        sheet,
+        { realm, items, characters },
+      ])
+  );
+}
+
+// "id | Label | item URL | character URL"; "-" leaves a template out.
+function formatProviders(providers) {
+  return Object.entries(providers)
+    .map(([id, provider]) =>
+      [
+        id,
+        provider.label,
+        provider.item ?? "-",
+        provider.character ?? "-",
+      ].join(" | ")
+    )
+    .join("\n");
+}
+
+function parseProviders(text) {
+  const errors = [];
+  const providers = {};
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const [id = "", label = "", ...templates] = line
+        .split("|")
+        .map((part) => part.trim());
+      const [item, character] = templates.map((template) =>
+        template === "-" ? "" : template
+      );
+      if (!id || Object.hasOwn(BUILTIN_PROVIDERS, id)) {
+        errors.push(`"${line}" needs an id other than a built-in provider.`);
+      } else if (
+        [item, character].some(
+          (template) => template && !/^https?:\/\/\S+$/i.test(template)
+        ) ||
+        (!item && !character)
+      ) {
+        errors.push(`"${line}" needs an http(s) item or character URL.`);
+      }
+      providers[id] = { label, item, character };
+    });
+  return { providers, errors };
+}
+
+function toForm(config) {
+  return {
+    spreadsheetId: config.spreadsheetId,
+    tabs: formatTabs(config.sheets),
+    columns: Object.fromEntries(
+      COLUMN_FIELDS.map((field) => [field, columnLetter(config.columns[field])])
+    ),
+    headers: Object.fromEntries(
+      COLUMN_FIELDS.map((field) => [field, config.headers[field].join(", ")])
+    ),
+    refreshInterval: String(config.refreshInterval),
+    csvMode: config.csvMode,
+    palette: config.palette,
+    tiers: Object.fromEntries(
+      Object.entries(config.tiers).map(([sheet, tiers]) => [
+        sheet,
+        formatTiers(tiers),
+      ])
+    ),
+    itemLinks: config.links.items,
+    characterLinks: config.links.characters,
+    realm: config.links.realm,
+    sheetLinks: formatSheetLinks(config.links.sheets),
+    providers: formatProviders(config.links.providers),
+  };
+}
+
+// The entries of next that differ from base; entries only base has become
+// null so the saved layer removes them.
+function changedEntries(next, base) {
+  const changed = {};
+  new Set([...Object.keys(base), ...Object.keys(next)]).forEach((key) => {
+    if (!Object.hasOwn(next, key)) {
+      changed[key] = null;
+    } else if (JSON.stringify(next[key]) !== JSON.stringify(base[key])) {
+      changed[key] = next[key];
+    }
+  });
+  return changed;
+}
+
+function changedFields(form, base, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => form[field] !== base[field])
+      .map((field) => [field, form[field]])
+  );
+}
+
+function linksLayer(form, base) {
+  return {
+    ...Object.fromEntries(
+      [
+        ["items", "itemLinks"],
+        ["characters", "characterLinks"],
+        ["realm", "realm"],
+      ]
+        .filter(([, field]) => form[field] !== base[field])
+        .map(([key, field]) => [key, form[field]])
+    ),
+    sheets: changedEntries(
+      parseSheetLinks(form.sheetLinks),
+      parseSheetLinks(base.sheetLinks)
+    ),
+    providers: changedEntries(
+      parseProviders(form.providers).providers,
+      parseProviders(base.providers).providers
+    ),
+  };
+}
+
+// Per sheet, the tiers typed in or null when a sheet's box was emptied.
+function tierLayer(form, base) {
+  return Object.fromEntries(
+    [...new Set([...Object.keys(base.tiers), ...Object.keys(form.tiers)])]
+      .filter((sheet) => (form.tiers[sheet] ?? "") !== (base.tiers[sheet] ?? ""))
+      .map((sheet) => [sheet, parseTiers(form.tiers[sheet] ?? "").tiers])
+  );
+}
+
+// Only the fields that differ from csr-config.json and the defaults, so the
+// saved layer does not pin the file's values.
+function formLayer(form, base) {
+  return normalizeConfigLayer({
+    ...changedFields(form, base, [
+      "spreadsheetId",
+      "refreshInterval",
+      "csvMode",
+      "palette",
+    ]),
+    sheets: form.tabs !== base.tabs ? parseTabs(form.tabs) : null,
+    columns: changedFields(form.columns, base.columns, COLUMN_FIELDS),
+    headers: changedFields(form.headers, base.headers, COLUMN_FIELDS),
+    tiers: tierLayer(form, base),
+    links: linksLayer(form, base),
+  });
+}
+
+function ResetField({ changed, onReset }) {
+  if (!changed) {
+    return null;
+  }
+  return (
+    <button
+      className="btn ghost small settings-reset"
+      type="button"
+      onClick={onReset}
+      title="Use the value from csr-config.json or the default"
+    >
+      Reset
+    </button>
+  );
+}
+
+function validate(form) {
+  const errors = [];
+  if (!form.spreadsheetId.trim()) {
+    errors.push("Enter a spreadsheet ID or link.");
+  }
+  if (!parseTabs(form.tabs).length) {
+    errors.push("List at least one tab.");
+  }
+  COLUMN_FIELDS.forEach((field) => {
+    if (columnIndex(form.columns[field]) == null) {
+      errors.push(`${COLUMN_LABELS[field]} column must be a letter like T.`);
+    }
+  });
+  Object.entries(form.tiers).forEach(([sheet, text]) => {
+    const name = sheet === "default" ? "Default tiers" : `${sheet} tiers`;
+    parseTiers(text).errors.forEach((error) =>
+      errors.push(`${name}: ${error}`)
+    );
+  });
+  parseProviders(form.providers).errors.forEach((error) =>
+    errors.push(`Custom links: ${error}`)
+  );
+  if (!form.tiers.default?.trim()) {
+    errors.push("Default tiers: list at least one tier.");
+  }
+  return errors;
+}
+
+export default function Settings({
+  config,
+  fileLayer,
+  onSave,
+  onReset,
+  backHref,
+}) {
+  const [form, setForm] = useState(() => toForm(config));
+  const baseForm = toForm(mergeConfig(fileLayer));
+  const [status, setStatus] = useState("");
+  const errors = validate(form);
+  const providers = linkProviders({
+    links: { providers: parseProviders(form.providers).providers },
+  });
+  const realms = [
+    ...new Set(Object.values(providers).flatMap((provider) => provider.realms ?? [])),
+  ];
+  const sheetNames = parseTabs(form.tabs)
+    .map((sheet) => sheet.name)
+    .filter((name) => name !== "default");
+  const urlOverride = hasConfigInUrl();
+  const refreshOptions = REFRESH_OPTIONS.includes(Number(form.refreshInterval))
+    ? REFRESH_OPTIONS
+    : [...REFRESH_OPTIONS, Number(form.refreshInterval)].sort((a, b) => a - b);
+
+  function buildLayer() {
+    return formLayer(form, baseForm);
+  }
+
+  function resetField(field) {
+    setForm((prev) => ({ ...prev, [field]: baseForm[field] }));
+  }
+
+  function resetColumn(group, field) {
+    updateColumn(group, field, baseForm[group][field]);
+  }
+
+  function resetTiers(sheet) {
+    updateTiers(sheet, baseForm.tiers[sheet] ?? "");
+  }
+
+  function tiersChanged(sheet) {
+    return (form.tiers[sheet] ?? "") !== (baseForm.tiers[sheet] ?? "");
+  }
+
+  function updateColumn(group, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      [group]: { ...prev[group], [field]: value },
+    }));
+  }
+
+  function updateTiers(sheet, value) {
+    setForm((prev) => ({ ...prev, tiers: { ...prev.tiers, [sheet]: value } }));
+  }
+
+  function save(event) {
+    event.preventDefault();
+    if (errors.length) {
+      return;
+    }
+    try {
+      onSave(buildLayer());
+    } catch {
+      setStatus("Could not save settings in this browser");
+    }
+  }
+
+  async function copyLink() {
+    const params = configToUrlParams(mergeConfig(fileLayer, buildLayer()));
+    const url = `${window.location.origin}${window.location.pathname}?${params}`;
+    try {
+      await copyText(url);
+      setStatus("Link copied");
+    } catch {
+      setStatus("Copy failed");
+    }
+  }
+
+  return (
+    <article className="sheet ready settings">
+      <header className="module-header">
+        <div className="module-title">
+          <div>
+            <h2>Settings</h2>
+            <p className="module-meta">
+              Point the site at any published Google spreadsheet.
+            </p>
+          </div>
+        </div>
+        <div className="module-actions">
+          <a className="btn primary" href={backHref}>
+            Back to sheet
+          </a>
+        </div>
+      </header>
+
+      <form className="module-body settings-form" onSubmit={save}>
+        {urlOverride && (
+          <div className="changes">
+            This page was opened with source settings in its link. Saving
+            stores them in this browser and removes them from the address.
+          </div>
+        )}
+
+        <label className="settings-field">
+          <span>Spreadsheet ID or link</span>
+          <input
+            value={form.spreadsheetId}
+            onChange={(event) =>
+              setForm((prev) => ({
+                ...prev,
+                spreadsheetId: event.target.value,
+              }))
+            }
+            spellCheck={false}
+          />
+          <ResetField
+            changed={form.spreadsheetId !== baseForm.spreadsheetId}
+            onReset={() => resetField("spreadsheetId")}
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>Tabs, one per line (optionally "Name | gid")</span>
+          <textarea
+            rows={Math.max(4, form.tabs.split("\n").length + 1)}
+            value={form.tabs}
+            onChange={(event) =>
+              setForm((prev) => ({ ...prev, tabs: event.target.value }))
+            }
+            spellCheck={false}
+          />
+          <ResetField
+            changed={form.tabs !== baseForm.tabs}
+            onReset={() => resetField("tabs")}
+          />
+        </label>
+
+        <label className="settings-field">
+          <span>Auto-refresh</span>
+          <select
+            value={form.refreshInterval}
+            onChange={(event) =>
+              setForm((prev) => ({
+                ...prev,
+                refreshInterval: event.target.value,
+              }))
+            }
+          >
+            {refreshOptions.map((seconds) => (
+              <option key={seconds} value={seconds}>
+                {seconds ? `Every ${formatInterval(seconds)}` : "Off"}
+              </option>
+            ))}
+          </select>
+          <ResetField
+            changed={form.refreshInterval !== baseForm.refreshInterval}
+            onReset={() => resetField("refreshInterval")}
+          />
+        </label>
+        <p className="module-meta">
+          Sheets are fetched again in the background at this interval (at
+          least every {MIN_REFRESH_INTERVAL} s). Failed sheets are retried
+          with increasing delays even when auto-refresh is off.
+        </p>
+
+        <label className="settings-field">
+          <span>CSV parsing</span>
+          <select
+            value={form.csvMode}
+            onChange={(event) =>
+              setForm((prev) => ({ ...prev, csvMode: event.target.value }))
+            }
+          >
+            {CSV_MODES.map((mode) => (
+              <option key={mode} value={mode}>
+                {CSV_MODE_LABELS[mode]}
+              </option>
+            ))}
+          </select>
+          <ResetField
+            changed={form.csvMode !== baseForm.csvMode}
+            onReset={() => resetField("csvMode")}
+          />
+        </label>
+
+        <fieldset className="settings-columns settings-columns--stack">
+          <legend>CSR tiers</legend>
+          <p className="module-meta">
+            One tier per line from the highest: "75 | High | gold". Values at
+            or above the number get that tier; start the last line with * to
+            catch everything below. Colors are {COLOR_NAMES.join(", ")} or a
+            #hex value.
+          </p>
+          <label className="settings-field">
+            <span>Palette</span>
+            <select
+              value={form.palette}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, palette: event.target.value }))
+              }
+            >
+              {Object.keys(PALETTES).map((palette) => (
+                <option key={palette} value={palette}>
+                  {PALETTE_LABELS[palette]}
+                </option>
+              ))}
+            </select>
+            <ResetField
+              changed={form.palette !== baseForm.palette}
+              onReset={() => resetField("palette")}
+            />
+          </label>
+          <label className="settings-field">
+            <span>Default tiers</span>
+            <textarea
+              rows={Math.max(4, (form.tiers.default ?? "").split("\n").length)}
+              value={form.tiers.default ?? ""}
+              onChange={(event) => updateTiers("default", event.target.value)}
+              spellCheck={false}
+            />
+            <ResetField
+              changed={tiersChanged("default")}
+              onReset={() => resetTiers("default")}
+            />
+          </label>
+          {sheetNames.map((sheet) => (
+            <details
+              className="settings-tiers"
+              key={sheet}
+              open={Boolean(form.tiers[sheet])}
+            >
+              <summary>{sheet}</summary>
+              <label className="settings-field">
+                <span>
+                  Tiers for this sheet (leave empty to use the default)
+                </span>
+                <textarea
+                  rows={4}
+                  value={form.tiers[sheet] ?? ""}
+                  onChange={(event) => updateTiers(sheet, event.target.value)}
+                  spellCheck={false}
+                />
+                <ResetField
+                  changed={tiersChanged(sheet)}
+                  onReset={() => resetTiers(sheet)}
+                />
+              </label>
+            </details>
+          ))}
+        </fieldset>
+
+        <fieldset className="settings-columns settings-columns--stack">
+          <legend>Links</legend>
+          <p className="module-meta">
+            Where item and character names link to. Templates use {"{item}"},{" "}
+            {"{name}"} and {"{realm}"}.
+          </p>
+          <div className="settings-column">
+            <label className="settings-field">
+              <span>Item database</span>
+              <select
+                value={form.itemLinks}
+                onChange={(event) =>
+                  setForm((prev) => ({
+                    ...prev,
+                    itemLinks: event.target.value,
+                  }))
+                }
+              >
+                {Object.entries(providers)
+                  .filter(([, provider]) => provider.item)
+                  .map(([id, provider]) => (
+                    <option key={id} value={id}>
+                      {provider.label || id}
+                    </option>
+                  ))}
+              </select>
+              <ResetField
+                changed={form.itemLinks !== baseForm.itemLinks}
+                onReset={() => resetField("itemLinks")}
+              />
+            </label>
+            <label className="settings-field">
+              <span>Armory</span>
+              <select
+                value={form.characterLinks}
+                onChange={(event) =>
+                  setForm((prev) => ({
+                    ...prev,
+                    characterLinks: event.target.value,
+                  }))
+                }
+              >
+                {Object.entries(providers)
+                  .filter(([, provider]) => provider.character)
+                  .map(([id, provider]) => (
+                    <option key={id} value={id}>
+                      {provider.label || id}
+                    </option>
+                  ))}
+              </select>
+              <ResetField
+                changed={form.characterLinks !== baseForm.characterLinks}
+                onReset={() => resetField("characterLinks")}
+              />
+            </label>
+            <label className="settings-field">
+              <span>Realm</span>
+              <input
+                value={form.realm}
+                list="settings-realms"
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, realm: event.target.value }))
+                }
+                spellCheck={false}
+              />
+              <datalist id="settings-realms">
+                {realms.map((realm) => (
+                  <option key={realm} value={realm} />
+                ))}
+              </datalist>
+              <ResetField
+                changed={form.realm !== baseForm.realm}
+                onReset={() => resetField("realm")}
+              />
+            </label>
+          </div>
+          <label className="settings-field">
+            <span>
+              Per sheet, one per line: "Sheet | realm", optionally followed by
+              "| item database | armory"
+            </span>
+            <textarea
+              rows={Math.max(2, form.sheetLinks.split("\n").length + 1)}
+              value={form.sheetLinks}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, sheetLinks: event.target.value }))
+              }
+              placeholder={sheetNames[0] ? `${sheetNames[0]} | Nordanaar` : ""}
+              spellCheck={false}
+            />
+            <ResetField
+              changed={form.sheetLinks !== baseForm.sheetLinks}
+              onReset={() => resetField("sheetLinks")}
+            />
+          </label>
+          <label className="settings-field">
+            <span>
+              Custom providers, one per line: "id | Label | item URL | character
+              URL" (use - to leave one out)
+            </span>
+            <textarea
+              rows={Math.max(2, form.providers.split("\n").length + 1)}
+              value={form.providers}
+              onChange={(event) =>
+                setForm((prev) => ({ ...prev, providers: event.target.value }))
+              }
+              placeholder="mydb | My database | https://example.com/?q={item} | -"
+              spellCheck={false}
+            />
+            <ResetField
+              changed={form.providers !== baseForm.providers}
+              onReset={() => resetField("providers")}
+            />
+          </label>
+        </fieldset>
+
+        <fieldset className="settings-columns">
+          <legend>Columns</legend>
+          <p className="module-meta">
+            Columns are found by their header text. The letters are used when
+            a sheet has no matching header.
+          </p>
+          {COLUMN_FIELDS.map((field) => (
+            <div className="settings-column" key={field}>
+              <label className="settings-field">
+                <span>{COLUMN_LABELS[field]}</span>
+                <input
+                  value={form.columns[field]}
+                  onChange={(event) =>
+                    updateColumn("columns", field, event.target.value)
+                  }
+                  maxLength={3}
+                  spellCheck={false}
+                />
+                <ResetField
+                  changed={form.columns[field] !== baseForm.columns[field]}
+                  onReset={() => resetColumn("columns", field)}
+                />
+              </label>
+              <label className="settings-field settings-field--wide">
+                <span>Headers (comma separated)</span>
+                <input
+                  value={form.headers[field]}
+                  onChange={(event) =>
+                    updateColumn("headers", field, event.target.value)
+                  }
+                  spellCheck={false}
+                />
+                <ResetField
+                  changed={form.headers[field] !== baseForm.headers[field]}
+                  onReset={() => resetColumn("headers", field)}
+                />
+              </label>
+            </div>
+          ))}
+        </fieldset>
+
+        {errors.length > 0 && (
+          <ul className="error settings-errors">
+            {errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="settings-actions">
+          <button
+            className="btn primary"
+            type="submit"
+            disabled={errors.length > 0}
+          >
+            Save
+          </button>
+          <button
+            className="btn ghost"
+            type="button"
+            onClick={copyLink}
+            disabled={errors.length > 0}
+          >
+            Copy share link
+          </button>
+          <button className="btn ghost" type="button" onClick={onReset}>
+            Reset all
+          </button>
+          {status && <span className="settings-status">{status}</span>}
+        </div>
+      </form>
+    </article>
+  );
+}
@@ -0,0 +1,131 @@
+import { useMemo } from "react";
+import { BarList, Histogram, StackedBar } from "./Charts.jsx";
+import { playerHref, sheetHref } from "./routes.js";
+import { computeStats } from "./stats.js";
+import { tierColor } from "./tiers.js";
+
+function SheetCard({ stats, palette }) {
+  const players = stats.bands.reduce((sum, band) => sum + band.count, 0);
+  return (
+    <section className="stats-card">
+      <header className="stats-card-header">
+        <h3>
+          <a className="cell-link" href={sheetHref(stats.name)}>
+            {stats.name}
+          </a>
+        </h3>
+        <span className="module-meta">
+          {stats.rows} row{stats.rows === 1 ? "" : "s"}
+          {stats.unscored > 0 && ` · ${stats.unscored} without a score`}
+        </span>
+      </header>
+      <h4>CSR distribution</h4>
+      {stats.histogram.length ? (
+        <Histogram
+          bins={stats.histogram}
+          label={`CSR distribution for ${stats.name}`}
+        />
+      ) : (
+        <p className="module-meta">No parsable scores.</p>
+      )}
+      <h4>Players per tier ({players})</h4>
+      <StackedBar
+        label={`Players per tier for ${stats.name}`}
+        segments={stats.bands.map((band) => ({
+          key: band.tier.id,
+          label: band.tier.label,
+          count: band.count,
+          color: tierColor(band.tier.color, palette),
+        }))}
+      />
+      <ul className="stats-bands">
+        {stats.bands.map((band) => (
+          <li key={band.tier.id}>
+            {band.tier.label} <strong>{band.count}</strong>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default function Stats({ sheets, config, backHref }) {
+  const stats = useMemo(() => computeStats(sheets, config), [sheets, config]);
+  const pending = sheets.filter((sheet) => sheet.status === "loading").length;
+  const totalRows = stats.sheets.reduce((sum, sheet) => sum + sheet.rows, 0);
+  const unscored = stats.sheets.reduce((sum, sheet) => sum + sheet.unscored, 0);
+
+  return (
+    <article className="sheet ready stats">
+      <header className="module-header">
+        <div className="module-title">
+          <div>
+            <h2>Statistics</h2>
+            <p className="module-meta">
+              {totalRows} row{totalRows === 1 ? "" : "s"} across{" "}
+              {stats.sheets.length} sheet
+              {stats.sheets.length === 1 ? "" : "s"} · {unscored} without a
+              parsable score
+            </p>
+          </div>
+        </div>
+        <div className="module-actions">
+          <a className="btn primary" href={backHref}>
+            Back to sheet
+          </a>
+        </div>
+      </header>
+
+      <div className="module-body">
+        {pending > 0 && (
+          <div className="loading">
+            Still loading {pending} sheet{pending === 1 ? "" : "s"}…
+          </div>
+        )}
+        {!stats.sheets.length && !pending && (
+          <div className="empty-state">No sheet has any rows yet.</div>
+        )}
+
+        <div className="stats-grid">
+          {stats.sheets.map((sheet) => (
+            <SheetCard
+              key={sheet.name}
+              stats={sheet}
+              palette={config.palette}
+            />
+          ))}
+        </div>
+
+        {stats.contested.length > 0 && (
+          <section className="stats-card">
+            <h3>Most contested items</h3>
+            <BarList
+              label="Most contested items"
+              entries={stats.contested.map((entry) => ({
+                key: `${entry.sheet}-${entry.item}`,
+                label: `${entry.item} (${entry.sheet})`,
+                value: entry.count,
+                href: sheetHref(entry.sheet),
+              }))}
+            />
+          </section>
+        )}
+
+        {stats.players.length > 0 && (
+          <section className="stats-card">
+            <h3>Highest total CSR</h3>
+            <BarList
+              label="Players with the highest total CSR"
+              entries={stats.players.map((player) => ({
+                key: player.name,
+                label: `${player.name} (${player.reservations})`,
+                value: player.total,
+                href: playerHref(player.name),
+              }))}
+            />
+          </section>
+        )}
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,23 @@
+import { NO_SCORE_TIER, describeTierRange, tierStyle } from "./tiers.js";
+
+export default function TierLegend({ tiers, palette }) {
+  return (
+    <ul className="tier-legend" aria-label="CSR tiers">
+      {tiers.map((tier, index) => (
+        <li key={tier.id}>
+          <span
+            className={`tier-swatch ${tier.id}`}
+            style={tierStyle(tier, palette)}
+            aria-hidden
+          />
+          {tier.label}
+          <span className="tier-range">{describeTierRange(tiers, index)}</span>
+        </li>
+      ))}
+      <li>
+        <span className={`tier-swatch ${NO_SCORE_TIER.id}`} aria-hidden />
+        {NO_SCORE_TIER.label}
+      </li>
+    </ul>
+  );
+}
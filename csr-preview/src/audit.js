@@ -0,0 +1,142 @@
+import { normalizeName } from "./csr.js";
+import { itemKey } from "./items.js";
+
+// Data quality checks for one sheet, so officers can fix the spreadsheet
+// before raid night. Each issue points at the rows involved.
+
+export const AUDIT_CHECKS = [
+  { kind: "value", label: "CSR values that don't read cleanly" },
+  { kind: "duplicate", label: "Duplicate reservations" },
+  { kind: "name-case", label: "Player names written differently" },
+  { kind: "missing", label: "Rows missing a name or item" },
+  { kind: "outlier", label: "Unusually high or low CSR" },
+];
+
+const CLEAN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+// Tukey's "far out" fences; smaller sheets are too noisy to judge.
+const OUTLIER_FENCE = 3;
+const OUTLIER_MIN_SCORES = 8;
+
+// "1O5" reads as 15 and "50 (+10)" as 5010.
+function valueIssues(rows) {
+  return rows
+    .filter((row) => row.value && !CLEAN_NUMBER.test(row.value))
+    .map((row) => ({
+      kind: "value",
+      rows: [row],
+      message:
+        row.csrNumber == null
+          ? `"${row.value}" is not a number`
+          : `"${row.value}" is read as ${row.csrNumber}`,
+    }));
+}
+
+function duplicateIssues(rows) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!row.name || !row.item) {
+      return;
+    }
+    const key = `${normalizeName(row.name)}\n${itemKey(row.item)}`;
+    groups.set(key, [...(groups.get(key) ?? []), row]);
+  });
+  return [...groups.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => ({
+      kind: "duplicate",
+      rows: group,
+      message: `${group[0].name} reserves ${group[0].item} ${group.length} times`,
+    }));
+}
+
+// Rows spelled differently from the player's most used spelling.
+function nameCaseIssues(rows) {
+  const players = new Map();
+  rows.forEach((row) => {
+    const key = normalizeName(row.name);
+    if (!key) {
+      return;
+    }
+    if (!players.has(key)) {
+      players.set(key, new Map());
+    }
+    const spellings = players.get(key);
+    spellings.set(row.name, [...(spellings.get(row.name) ?? []), row]);
+  });
+  return [...players.values()]
+    .filter((spellings) => spellings.size > 1)
+    .map((spellings) => {
+      const [main, ...others] = [...spellings.entries()].sort(
+        (a, b) => b[1].length - a[1].length
+      );
+      return {
+        kind: "name-case",
+        rows: others.flatMap(([, group]) => group),
+        message: `${main[0]} is also written ${others
+          .map(([name]) => `"${name}"`)
+          .join(", ")}`,
+      };
+    });
+}
+
+function missingIssues(rows) {
+  return rows
+    .filter((row) => !row.name || !row.item)
+    .map((row) => ({
+      kind: "missing",
+      rows: [row],
+      message: row.name
+        ? `No item for ${row.name}`
+        : row.item
+          ? `No player name for ${row.item}`
+          : `CSR ${row.value} with no item or player`,
+    }));
+}
+
+function quantile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+}
+
+function outlierIssues(rows) {
+  const scores = rows
+    .map((row) => row.csrNumber)
+    .filter((value) => value != null)
+    .sort((a, b) => a - b);
+  if (scores.length < OUTLIER_MIN_SCORES) {
+    return [];
+  }
+  const q1 = quantile(scores, 0.25);
+  const q3 = quantile(scores, 0.75);
+  const spread = q3 - q1;
+  if (spread <= 0) {
+    return [];
+  }
+  const low = q1 - OUTLIER_FENCE * spread;
+  const high = q3 + OUTLIER_FENCE * spread;
+  const round = (value) => Math.round(value * 10) / 10;
+  return rows
+    .filter((row) => row.csrNumber != null)
+    .filter((row) => row.csrNumber < low || row.csrNumber > high)
+    .map((row) => ({
+      kind: "outlier",
+      rows: [row],
+      message: `${row.name || "?"} has ${row.csrNumber} on ${
+        row.item || "?"
+      }; most scores are ${round(q1)}–${round(q3)}`,
+    }));
+}
+
+// [{ kind, rows, message }] in AUDIT_CHECKS order, then by row.
+export function auditRows(rows) {
+  const byRow = (a, b) => a.rows[0].rowNumber - b.rows[0].rowNumber;
+  return [
+    ...valueIssues(rows).sort(byRow),
+    ...duplicateIssues(rows).sort(byRow),
+    ...nameCaseIssues(rows).sort(byRow),
+    ...missingIssues(rows).sort(byRow),
+    ...outlierIssues(rows).sort(byRow),
+  ];
+}
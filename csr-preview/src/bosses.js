@@ -0,0 +1,91 @@
+import { itemKey, lookupItem } from "./items.js";
+
+// Item groups (see groupByItem) placed under the boss that drops them, in
+// kill order. Shared drops go to the first of their bosses to die; bosses
+// without a kill order come after the known ones.
+
+function killOrder(index) {
+  const order = new Map();
+  index.raids.forEach((raid, raidIndex) =>
+    raid.bosses.forEach((boss, bossIndex) => {
+      const key = itemKey(boss);
+      if (!order.has(key)) {
+        order.set(key, { raid: raid.name, raidIndex, bossIndex });
+      }
+    })
+  );
+  return order;
+}
+
+// Whether the item list has a kill order for raid.
+export function hasKillOrder(index, raid) {
+  const key = itemKey(raid ?? "");
+  return Boolean(
+    index && key && index.raids.some((entry) => itemKey(entry.name) === key)
+  );
+}
+
+function compareSections(a, b) {
+  return (
+    a.raidIndex - b.raidIndex ||
+    a.bossIndex - b.bossIndex ||
+    a.boss.localeCompare(b.boss)
+  );
+}
+
+// { sections: [{ key, boss, raid, step, groups, count }], unmapped: groups }
+// where step is the boss's place in its raid (1-based, null if unknown) and
+// count the number of reservations.
+export function groupByBoss(groups, index) {
+  if (!index) {
+    return { sections: [], unmapped: groups };
+  }
+  const order = killOrder(index);
+  const sections = new Map();
+  const unmapped = [];
+
+  groups.forEach((group) => {
+    const item = lookupItem(index, group.item)?.item;
+    const placed = (item?.bosses ?? [])
+      .map((boss) => ({
+        boss,
+        ...(order.get(itemKey(boss)) ?? {
+          raid: item.raid,
+          raidIndex: Infinity,
+          bossIndex: Infinity,
+        }),
+      }))
+      .sort(compareSections)[0];
+    if (!placed) {
+      unmapped.push(group);
+      return;
+    }
+    const key = itemKey(placed.boss);
+    if (!sections.has(key)) {
+      sections.set(key, {
+        ...placed,
+        key,
+        step: Number.isFinite(placed.bossIndex) ? placed.bossIndex + 1 : null,
+        groups: [],
+        count: 0,
+      });
+    }
+    const section = sections.get(key);
+    section.groups.push(group);
+    section.count += group.count;
+  });
+
+  return {
+    sections: [...sections.values()]
+      .sort(compareSections)
+      .map(({ key, boss, raid, step, groups: items, count }) => ({
+        key,
+        boss,
+        raid,
+        step,
+        groups: items,
+        count,
+      })),
+    unmapped,
+  };
+}
@@ -0,0 +1,68 @@
+import { columnLetter } from "./config.js";
+import { QUERY_FIELDS } from "./query.js";
+import { normalizeHeader } from "./schema.js";
+
+// Spreadsheet columns beyond item, name and CSR (class, role, attendance,
+// notes...). Rows keep every cell, so any of them can be shown, sorted and
+// searched; which ones are shown is remembered per sheet.
+
+const STORAGE_KEY = "csrColumns";
+
+// [{ index, label, key }] for every column the sheet has besides the three
+// it is read by. key is the search field ("Attendance Count" ->
+// attendancecount), or null when it is empty or taken.
+export function sheetColumns(schema, rows) {
+  if (!schema?.columns) {
+    return [];
+  }
+  const headers = schema.headers ?? [];
+  const width = Math.max(
+    headers.length,
+    ...rows.map((row) => row.cells.length)
+  );
+  const used = new Set(Object.values(schema.columns));
+  const keys = new Set(QUERY_FIELDS);
+  const columns = [];
+  for (let index = 0; index < width; index += 1) {
+    if (used.has(index)) {
+      continue;
+    }
+    const header = (headers[index] ?? "").trim();
+    const key = normalizeHeader(header).replace(/[^a-z]+/g, "");
+    columns.push({
+      index,
+      label: header || `Column ${columnLetter(index)}`,
+      key: key && !keys.has(key) ? key : null,
+    });
+    keys.add(key);
+  }
+  return columns;
+}
+
+export function cellText(row, index) {
+  return (row.cells[index] ?? "").trim();
+}
+
+// { [sheetStorageKey]: [column indexes] } for every sheet with extra columns.
+export function readSavedColumns() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveSavedColumns(saved) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// The picked columns of a sheet that it still has, in sheet order.
+export function pickedColumns(columns, saved) {
+  const picked = new Set(Array.isArray(saved) ? saved : []);
+  return columns.filter((column) => picked.has(column.index));
+}
@@ -0,0 +1,407 @@
+import {
+  DEFAULT_LINKS,
+  mergeLinks,
+  normalizeLinks,
+  withoutNulls,
+} from "./links.js";
+import { DEFAULT_TIERS, PALETTES, normalizeTiers } from "./tiers.js";
+
+// Source configuration: which spreadsheet, which tabs and which columns.
+// Layers are merged in order: defaults < csr-config.json < saved settings <
+// URL parameters.
+
+export const DEFAULT_CONFIG = {
+  spreadsheetId: "1-9jt6ofXzOICrUGsw509xeystkNIc2YCgPyB6V2tCjU",
+  sheets: [
+    { name: "Kara40 CSR", gid: null },
+    { name: "NAXX CSR", gid: null },
+    { name: "AQ CSR", gid: null },
+    { name: "ES CSR", gid: null },
+    { name: "BWL CSR", gid: null },
+    { name: "MC CSR", gid: null },
+  ],
+  columns: { item: 19, name: 20, value: 21 },
+  // Header texts that identify each column, compared case-insensitively
+  // and ignoring punctuation.
+  headers: {
+    item: ["item", "items", "reserved item", "reserve", "soft reserve"],
+    name: ["name", "player", "character", "raider"],
+    value: ["csr", "csr value", "value", "score", "points"],
+  },
+  // Seconds between background refreshes; 0 turns them off. Failed sheets
+  // are retried with backoff either way.
+  refreshInterval: 60,
+  // "lenient" reads past malformed CSV and lists warnings, "strict" rejects
+  // the sheet at the first syntax error.
+  csvMode: "lenient",
+  // CSR tiers for every sheet ("default") or for one sheet by name. See
+  // tiers.js for the format.
+  tiers: { default: DEFAULT_TIERS },
+  palette: "default",
+  // Item database and armory links, with an optional realm per sheet. See
+  // links.js.
+  links: DEFAULT_LINKS,
+  // Item metadata file (relative to the page) and the icon URL template
+  // for its icon names.
+  itemData: {
+    url: "data/items.json",
+    icons: "https://wow.zamimg.com/images/wow/icons/medium/{icon}.jpg",
+  },
+  // The raid each sheet is for, by the raid names used in the item metadata
+  // file.
+  raids: {
+    "Kara40 CSR": "Tower of Karazhan",
+    "NAXX CSR": "Naxxramas",
+    "AQ CSR": "Temple of Ahn'Qiraj",
+    "ES CSR": "Emerald Sanctum",
+    "BWL CSR": "Blackwing Lair",
+    "MC CSR": "Molten Core",
+  },
+};
+
+export const MIN_REFRESH_INTERVAL = 15;
+
+export const COLUMN_FIELDS = ["item", "name", "value"];
+export const CSV_MODES = ["lenient", "strict"];
+
+const STORAGE_KEY = "csrConfig";
+const URL_PARAMS = ["sid", "tabs", "cols"];
+
+export function columnIndex(value) {
+  if (typeof value === "number") {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+  const text = String(value ?? "").trim().toUpperCase();
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  if (!/^[A-Z]{1,3}$/.test(text)) {
+    return null;
+  }
+  let index = 0;
+  for (const char of text) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+export function columnLetter(index) {
+  let letters = "";
+  let current = index + 1;
+  while (current > 0) {
+    const remainder = (current - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    current = Math.floor((current - 1) / 26);
+  }
+  return letters;
+}
+
+export function parseSpreadsheetId(value) {
+  const text = String(value ?? "").trim();
+  const match = text.match(/\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/);
+  return match ? match[1] : text;
+}
+
+function normalizeSheets(sheets) {
+  if (!Array.isArray(sheets)) {
+    return null;
+  }
+  const seen = new Set();
+  const normalized = sheets
+    .map((sheet) =>
+      typeof sheet === "string" ? { name: sheet, gid: null } : sheet
+    )
+    .filter((sheet) => sheet && typeof sheet.name === "string")
+    .map((sheet) => ({
+      name: sheet.name.trim(),
+      gid: sheet.gid == null || sheet.gid === "" ? null : String(sheet.gid),
+    }))
+    .filter((sheet) => {
+      if (!sheet.name || seen.has(sheet.name)) {
+        return false;
+      }
+      seen.add(sheet.name);
+      return true;
+    });
+  return normalized.length ? normalized : null;
+}
+
+function normalizeColumns(columns) {
+  if (!columns || typeof columns !== "object") {
+    return null;
+  }
+  const normalized = {};
+  COLUMN_FIELDS.forEach((field) => {
+    const index = columnIndex(columns[field]);
+    if (index != null) {
+      normalized[field] = index;
+    }
+  });
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+function normalizeHeaders(headers) {
+  if (!headers || typeof headers !== "object") {
+    return null;
+  }
+  const normalized = {};
+  COLUMN_FIELDS.forEach((field) => {
+    const aliases = Array.isArray(headers[field])
+      ? headers[field]
+      : String(headers[field] ?? "").split(",");
+    const cleaned = aliases
+      .map((alias) => String(alias).trim())
+      .filter(Boolean);
+    if (cleaned.length) {
+      normalized[field] = cleaned;
+    }
+  });
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+// { default: [...], "MC CSR": [...] }; a bare list applies to every sheet.
+// A sheet set to null drops the tiers an earlier layer gave it.
+function normalizeTierSets(value) {
+  const sets = Array.isArray(value) ? { default: value } : value;
+  if (!sets || typeof sets !== "object") {
+    return null;
+  }
+  const normalized = {};
+  Object.entries(sets).forEach(([sheet, list]) => {
+    if (list === null && sheet !== "default") {
+      normalized[sheet] = null;
+      return;
+    }
+    const tiers = normalizeTiers(list);
+    if (tiers) {
+      normalized[sheet] = tiers;
+    }
+  });
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+function normalizeItemData(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const itemData = {};
+  if (typeof value.url === "string" && value.url.trim()) {
+    itemData.url = value.url.trim();
+  }
+  if (typeof value.icons === "string" && /^https?:\/\//i.test(value.icons)) {
+    itemData.icons = value.icons.trim();
+  }
+  return Object.keys(itemData).length ? itemData : null;
+}
+
+// { "MC CSR": "Molten Core" }
+function normalizeRaids(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const raids = {};
+  Object.entries(value).forEach(([sheet, raid]) => {
+    if (typeof raid === "string" && raid.trim()) {
+      raids[sheet] = raid.trim();
+    }
+  });
+  return Object.keys(raids).length ? raids : null;
+}
+
+function normalizeRefreshInterval(value) {
+  if (value == null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  return seconds === 0
+    ? 0
+    : Math.max(MIN_REFRESH_INTERVAL, Math.round(seconds));
+}
+
+// Turns a partial, possibly hand-written config into a clean override layer.
+export function normalizeConfigLayer(raw) {
+  if (!raw || typeof raw !== "object") {
+    return {};
+  }
+  const layer = {};
+  const spreadsheetId = parseSpreadsheetId(raw.spreadsheetId);
+  if (spreadsheetId) {
+    layer.spreadsheetId = spreadsheetId;
+  }
+  const sheets = normalizeSheets(raw.sheets);
+  if (sheets) {
+    layer.sheets = sheets;
+  }
+  const columns = normalizeColumns(raw.columns);
+  if (columns) {
+    layer.columns = columns;
+  }
+  const headers = normalizeHeaders(raw.headers);
+  if (headers) {
+    layer.headers = headers;
+  }
+  const refreshInterval = normalizeRefreshInterval(raw.refreshInterval);
+  if (refreshInterval != null) {
+    layer.refreshInterval = refreshInterval;
+  }
+  if (CSV_MODES.includes(raw.csvMode)) {
+    layer.csvMode = raw.csvMode;
+  }
+  const tiers = normalizeTierSets(raw.tiers);
+  if (tiers) {
+    layer.tiers = tiers;
+  }
+  if (Object.hasOwn(PALETTES, raw.palette ?? "")) {
+    layer.palette = raw.palette;
+  }
+  const links = normalizeLinks(raw.links);
+  if (links) {
+    layer.links = links;
+  }
+  const itemData = normalizeItemData(raw.itemData);
+  if (itemData) {
+    layer.itemData = itemData;
+  }
+  const raids = normalizeRaids(raw.raids);
+  if (raids) {
+    layer.raids = raids;
+  }
+  return layer;
+}
+
+export function mergeConfig(...layers) {
+  return layers.reduce(
+    (config, layer) => ({
+      ...config,
+      ...layer,
+      columns: { ...config.columns, ...layer.columns },
+      headers: { ...config.headers, ...layer.headers },
+      tiers: withoutNulls({ ...config.tiers, ...layer.tiers }),
+      links: mergeLinks(config.links, layer.links),
+      itemData: { ...config.itemData, ...layer.itemData },
+      raids: { ...config.raids, ...layer.raids },
+    }),
+    DEFAULT_CONFIG
+  );
+}
+
+// "MC CSR:123,BWL CSR" -> tabs with optional gids.
+export function parseTabsParam(value) {
+  return value
+    .split(",")
+    .map((entry) => {
+      const separator = entry.lastIndexOf(":");
+      if (separator > 0 && /^\d+$/.test(entry.slice(separator + 1).trim())) {
+        return {
+          name: entry.slice(0, separator),
+          gid: entry.slice(separator + 1).trim(),
+        };
+      }
+      return { name: entry, gid: null };
+    });
+}
+
+// "item:T,name:U,value:V"
+function parseColumnsParam(value) {
+  const columns = {};
+  value.split(",").forEach((entry) => {
+    const [field, column] = entry.split(":");
+    if (field && column) {
+      columns[field.trim()] = column.trim();
+    }
+  });
+  return columns;
+}
+
+export function readConfigFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return normalizeConfigLayer({
+    spreadsheetId: params.get("sid"),
+    sheets: params.get("tabs") ? parseTabsParam(params.get("tabs")) : null,
+    columns: params.get("cols") ? parseColumnsParam(params.get("cols")) : null,
+  });
+}
+
+export function hasConfigInUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return URL_PARAMS.some((key) => params.has(key));
+}
+
+export function removeConfigFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  URL_PARAMS.forEach((key) => params.delete(key));
+  const search = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${search ? `?${search}` : ""}${
+      window.location.hash
+    }`
+  );
+}
+
+export function configToUrlParams(config) {
+  const params = new URLSearchParams();
+  params.set("sid", config.spreadsheetId);
+  params.set(
+    "tabs",
+    config.sheets
+      .map((sheet) => (sheet.gid ? `${sheet.name}:${sheet.gid}` : sheet.name))
+      .join(",")
+  );
+  params.set(
+    "cols",
+    COLUMN_FIELDS.map(
+      (field) => `${field}:${columnLetter(config.columns[field])}`
+    ).join(",")
+  );
+  return params;
+}
+
+export function readSavedConfig() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? normalizeConfigLayer(JSON.parse(saved)) : {};
+  } catch {
+    return {};
+  }
+}
+
+// Only what differs from csr-config.json and the defaults is saved, so later
+// edits to the file still show up for the fields left alone.
+export function saveConfig(layer) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(layer));
+}
+
+export function clearSavedConfig() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export async function fetchConfigFile(url) {
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) {
+      return {};
+    }
+    return normalizeConfigLayer(await response.json());
+  } catch {
+    return {};
+  }
+}
+
+export async function loadConfig(fileUrl) {
+  const file = await fetchConfigFile(fileUrl);
+  return {
+    config: mergeConfig(file, readSavedConfig(), readConfigFromUrl()),
+    fileLayer: file,
+  };
+}
+
+// Cached CSVs and snapshots are stored per spreadsheet so switching sources
+// never mixes their data.
+export function sheetStorageKey(config, sheet) {
+  return `${config.spreadsheetId}/${sheet.name}`;
+}
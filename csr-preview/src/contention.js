@@ -0,0 +1,63 @@
+import { normalizeName } from "./csr.js";
+
+function compareContenders(a, b) {
+  const left = a.csrNumber ?? -Infinity;
+  const right = b.csrNumber ?? -Infinity;
+  if (left !== right) {
+    return right - left;
+  }
+  return a.name.localeCompare(b.name);
+}
+
+function rankContenders(rows) {
+  const sorted = [...rows].sort(compareContenders);
+  return sorted.map((row) => {
+    const first = sorted.findIndex((other) => other.csrNumber === row.csrNumber);
+    const tied =
+      row.csrNumber != null &&
+      sorted.some(
+        (other) => other !== row && other.csrNumber === row.csrNumber
+      );
+    return { row, rank: first + 1, tied };
+  });
+}
+
+export function groupByItem(rows) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!row.item) {
+      return;
+    }
+    const key = normalizeName(row.item);
+    if (!groups.has(key)) {
+      groups.set(key, { key, item: row.item, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const contenders = rankContenders(group.rows);
+      const leaders = contenders.filter((entry) => entry.rank === 1);
+      return {
+        key: group.key,
+        item: group.item,
+        contenders,
+        count: contenders.length,
+        uncontested: contenders.length === 1,
+        tiedForTop: leaders.length > 1 && leaders[0].tied,
+        topCsr: contenders[0]?.row.csrNumber ?? null,
+      };
+    })
+    .sort((a, b) => {
+      if (a.count !== b.count) {
+        return b.count - a.count;
+      }
+      const left = a.topCsr ?? -Infinity;
+      const right = b.topCsr ?? -Infinity;
+      if (left !== right) {
+        return right - left;
+      }
+      return a.item.localeCompare(b.item);
+    });
+}
@@ -0,0 +1,142 @@
+// The parsing, tiering, search and formatting used by the site, without any
+// React or browser dependency. The CLI in bin/csr.js and other scripts
+// import from here so their output matches the website exactly.
+//
+//   buildReport(text, options)       CSV text -> { rows, matches, schema,
+//                                     parse, query }, filtered and sorted
+//   parseCsvDocument(text, options)  CSV -> { rows, issues, issueCount, error }
+//   mapSheetRows(text, config)       CSV -> { rows, schema, parse } where rows
+//                                     are { rowNumber, item, name, value,
+//                                     csrNumber, cells }
+//   fetchCsvWithFallback(sheet, id) download one tab of a published sheet
+//   parseCsr(text) / csrTier(number, tiers)
+//                                    CSR value and its tier
+//                                     ({ label, className, color })
+//   tiersForSheet(config, name)      configured tiers for one sheet
+//   parseQuery(text)                 the search box syntax (see README)
+//   sheetColumns(schema, rows)       the sheet's other columns, searchable by
+//                                     header ("class:warrior")
+//   filterRows / sortRows / rankRows
+//   formatRows(rows, format, name, tiers)
+//                                    csv, json, markdown, discord, table, tsv
+//   itemUrl / characterUrl(config, sheet, text)
+//                                    item database and armory links
+//   buildItemIndex(list) / lookupItem(index, name)
+//                                    item metadata by (misspelled) name
+//   parseRoster(text, { realms }) / rosterStatus(rows, roster)
+//                                    raid attendance
+//   computeStats(sheets, config)     histograms, tier bands, top items/players
+//   auditRows(rows)                  data problems ({ kind, rows, message })
+//   groupByItem(rows) / resolveDrop  item contention and loot rolls
+
+import { sheetColumns } from "./columns.js";
+import { DEFAULT_CONFIG, mergeConfig, normalizeConfigLayer } from "./config.js";
+import { hasTextTerms, parseQuery } from "./query.js";
+import { knownRealms } from "./links.js";
+import { filterRows, rankRows, sortRows } from "./rows.js";
+import { parseRoster } from "./roster.js";
+import { mapSheetRows } from "./sheets.js";
+import { tiersForSheet } from "./tiers.js";
+
+export { DEFAULT_CONFIG, mergeConfig, normalizeConfigLayer };
+export { csrTier, normalizeName, parseCsr } from "./csr.js";
+export { detectHtml, parseCSV, parseCsvDocument, sanitizeRow } from "./csv.js";
+export { detectSchema } from "./schema.js";
+export { sheetColumns } from "./columns.js";
+export {
+  fetchCsvWithFallback,
+  mapCsvDocument,
+  mapRawRows,
+  mapSheetRows,
+} from "./sheets.js";
+export {
+  describeQueryErrors,
+  hasTextTerms,
+  matchRow,
+  matchesQuery,
+  parseQuery,
+} from "./query.js";
+export { findMatch, foldText } from "./fuzzy.js";
+export { filterRows, rankRows, sortRows } from "./rows.js";
+export {
+  EXPORT_FORMATS,
+  buildCopyText,
+  buildDiscordMessages,
+  formatCsv,
+  formatJson,
+  formatMarkdown,
+  formatRows,
+  formatTable,
+} from "./export.js";
+export {
+  DEFAULT_TIERS,
+  PALETTES,
+  findTier,
+  normalizeTiers,
+  tiersForSheet,
+} from "./tiers.js";
+export {
+  BUILTIN_PROVIDERS,
+  characterUrl,
+  fillTemplate,
+  itemUrl,
+  knownRealms,
+} from "./links.js";
+export {
+  buildItemIndex,
+  coversRaid,
+  itemKey,
+  lookupItem,
+  sheetRaid,
+} from "./items.js";
+export { isPresent, parseRoster, rosterStatus } from "./roster.js";
+export { computeStats, histogram } from "./stats.js";
+export { AUDIT_CHECKS, auditRows } from "./audit.js";
+export { groupByItem } from "./contention.js";
+export { RULES, createRng, formatResolution, resolveDrop } from "./roll.js";
+
+// Options: config (a config layer, merged over the defaults), sheet (name,
+// picks that sheet's tiers), query (search syntax), fuzzy, roster (pasted
+// raid roster; only those players are kept), sort
+// ({ key: "csr" | "item" | "name" | column index, dir }) and limit.
+// Query errors are returned, not thrown; rows are empty when the CSV or its
+// columns could not be read (see parse.error and schema.error).
+export function buildReport(
+  text,
+  {
+    config: layer = {},
+    sheet = "",
+    query: queryText = "",
+    fuzzy = false,
+    roster = null,
+    sort = { key: "csr", dir: "desc" },
+    limit = Infinity,
+  } = {}
+) {
+  const config = mergeConfig(normalizeConfigLayer(layer));
+  const tiers = tiersForSheet(config, sheet);
+  const { rows, schema, parse } = mapSheetRows(text, config);
+  const query = parseQuery(queryText, {
+    tiers,
+    columns: sheetColumns(schema, rows),
+  });
+  const matches = filterRows(rows, query, {
+    fuzzy,
+    tiers,
+    roster:
+      roster == null
+        ? null
+        : parseRoster(roster, { realms: knownRealms(config) }),
+  });
+  const sorted = sortRows([...matches.keys()], sort);
+  const ordered =
+    fuzzy && hasTextTerms(query) ? rankRows(sorted, matches) : sorted;
+  return {
+    rows: ordered.slice(0, limit),
+    matches,
+    schema,
+    parse,
+    query,
+    tiers,
+  };
+}
@@ -0,0 +1,23 @@
+import { DEFAULT_TIERS, findTier } from "./tiers.js";
+
+export function parseCsr(value) {
+  if (!value) {
+    return null;
+  }
+  const cleaned = value.replace(/[^0-9.-]/g, "");
+  if (!cleaned) {
+    return null;
+  }
+  const parsed = Number(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// { label, className, color }; className is the tier id.
+export function csrTier(value, tiers = DEFAULT_TIERS) {
+  const tier = findTier(value, tiers);
+  return { label: tier.label, className: tier.id, color: tier.color };
+}
+
+export function normalizeName(name) {
+  return (name ?? "").trim().toLowerCase();
+}
@@ -0,0 +1,238 @@
+// RFC 4180 CSV parsing. Strict mode stops at the first syntax error; lenient
+// mode keeps going and confines the damage to the row where it happened.
+
+const MAX_ISSUES = 50;
+
+class CsvSyntaxError extends Error {
+  constructor(issue) {
+    super(`Row ${issue.row}, column ${issue.column}: ${issue.message}`);
+    this.issue = issue;
+  }
+}
+
+// Google answers with a sign-in or error page instead of CSV when a sheet is
+// private, unpublished or renamed. Returns the page title, or null.
+export function detectHtml(text) {
+  const head = text
+    .slice(0, 512)
+    .replace(/^\uFEFF/, "")
+    .trimStart()
+    .toLowerCase();
+  if (!head.startsWith("<!doctype html") && !head.startsWith("<html")) {
+    return null;
+  }
+  const title = text.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  return title?.replace(/\s+/g, " ").trim() || "untitled page";
+}
+
+function mostCommonLength(rows) {
+  const counts = new Map();
+  rows.forEach((row) =>
+    counts.set(row.length, (counts.get(row.length) ?? 0) + 1)
+  );
+  let best = 0;
+  let bestCount = 0;
+  counts.forEach((count, length) => {
+    if (count > bestCount) {
+      best = length;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+// { rows, issues, issueCount, error }. Issues carry 1-based row (record) and
+// column (field) numbers; only the first MAX_ISSUES are kept.
+export function parseCsvDocument(
+  text,
+  { delimiter = ",", strict = false } = {}
+) {
+  const source = text.replace(/^\uFEFF/, "");
+  const html = detectHtml(source);
+  if (html != null) {
+    return {
+      rows: [],
+      issues: [],
+      issueCount: 0,
+      error: `Received an HTML page ("${html}") instead of CSV. The sheet may be private, unpublished or renamed.`,
+    };
+  }
+
+  // Old Mac exports end lines with a bare CR; anywhere else it is a stray.
+  const bareCrLines = !source.includes("\n");
+  const literalQuotes = new Set();
+  const issues = [];
+  let issueCount = 0;
+  const rows = [];
+  let current = [];
+  let value = "";
+  // start: nothing read yet in this field; quoted: inside quotes;
+  // closed: after the closing quote; plain: reading an unquoted field.
+  let state = "start";
+  let recordStart = 0;
+  let quoteStart = -1;
+  let quoteColumn = 0;
+  // Warnings for the record being read, dropped when it is read again.
+  let recordIssues = [];
+  let recordIssueCount = 0;
+
+  // Lenient mode appends how the problem was worked around.
+  function report(problem, recovery, column = current.length + 1) {
+    const issue = { row: rows.length + 1, column };
+    if (strict) {
+      throw new CsvSyntaxError({ ...issue, level: "error", message: problem });
+    }
+    issueCount += 1;
+    recordIssueCount += 1;
+    if (issues.length < MAX_ISSUES) {
+      const warning = {
+        ...issue,
+        level: "warning",
+        message: `${problem}; ${recovery}`,
+      };
+      issues.push(warning);
+      recordIssues.push(warning);
+    }
+  }
+
+  function forgetRecordIssues() {
+    const dropped = new Set(recordIssues);
+    issues.splice(
+      0,
+      issues.length,
+      ...issues.filter((issue) => !dropped.has(issue))
+    );
+    issueCount -= recordIssueCount;
+    recordIssues = [];
+    recordIssueCount = 0;
+  }
+
+  function endField() {
+    current.push(value);
+    value = "";
+    state = "start";
+  }
+
+  function endRecord() {
+    endField();
+    rows.push(current);
+    current = [];
+    recordIssues = [];
+    recordIssueCount = 0;
+  }
+
+  try {
+    let i = 0;
+    while (i <= source.length) {
+      if (i === source.length) {
+        if (state !== "quoted") {
+          break;
+        }
+        // Unterminated quote: read the row again with that quote as plain
+        // text instead of letting it swallow the rest of the file. The
+        // warnings of the first reading are dropped; the second reports them.
+        forgetRecordIssues();
+        report(
+          "Quoted field is never closed",
+          "the quote was read as plain text",
+          quoteColumn
+        );
+        recordIssues = [];
+        recordIssueCount = 0;
+        literalQuotes.add(quoteStart);
+        current = [];
+        value = "";
+        state = "start";
+        i = recordStart;
+        continue;
+      }
+
+      const char = source[i];
+      const next = source[i + 1];
+
+      if (state === "quoted") {
+        if (char === '"' && next === '"') {
+          value += '"';
+          i += 2;
+        } else if (char === '"') {
+          state = "closed";
+          i += 1;
+        } else {
+          value += char;
+          i += 1;
+        }
+        continue;
+      }
+
+      if (char === delimiter) {
+        endField();
+        i += 1;
+        continue;
+      }
+
+      if (char === "\n" || (char === "\r" && (next === "\n" || bareCrLines))) {
+        endRecord();
+        i += char === "\r" && next === "\n" ? 2 : 1;
+        recordStart = i;
+        continue;
+      }
+
+      if (char === "\r") {
+        report("Stray carriage return inside a field", "kept as text");
+      } else if (char === '"' && state === "start" && !literalQuotes.has(i)) {
+        state = "quoted";
+        quoteStart = i;
+        quoteColumn = current.length + 1;
+        i += 1;
+        continue;
+      } else if (state === "closed") {
+        report("Text after a closing quote", "kept as part of the field");
+      } else if (char === '"' && !literalQuotes.has(i)) {
+        report("Quote inside an unquoted field", "kept as text");
+      }
+      value += char;
+      state = "plain";
+      i += 1;
+    }
+  } catch (error) {
+    if (error instanceof CsvSyntaxError) {
+      return {
+        rows: [],
+        issues: [error.issue],
+        issueCount: 1,
+        error: error.message,
+      };
+    }
+    throw error;
+  }
+
+  if (state !== "start" || current.length) {
+    endRecord();
+  }
+
+  const expected = mostCommonLength(rows);
+  rows.forEach((row, index) => {
+    if (row.length !== expected && row.some((cell) => cell.trim())) {
+      issueCount += 1;
+      if (issues.length < MAX_ISSUES) {
+        issues.push({
+          level: "warning",
+          row: index + 1,
+          column: Math.min(row.length, expected) + 1,
+          message: `Row has ${row.length} fields, most rows have ${expected}`,
+        });
+      }
+    }
+  });
+  issues.sort((a, b) => a.row - b.row || a.column - b.column);
+
+  return { rows, issues, issueCount, error: null };
+}
+
+export function parseCSV(text, delimiter = ",") {
+  return parseCsvDocument(text, { delimiter }).rows;
+}
+
+export function sanitizeRow(row) {
+  return row.map((cell) => (cell ?? "").trim());
+}
@@ -0,0 +1,16 @@
+import { getRecord, putRecord } from "./db.js";
+
+const STORE = "csv";
+
+export async function readCachedCsv(sheetName) {
+  return (await getRecord(STORE, sheetName)) ?? null;
+}
+
+export async function writeCachedCsv(sheetName, text, url) {
+  await putRecord(STORE, {
+    sheet: sheetName,
+    text,
+    url,
+    cachedAt: Date.now(),
+  });
+}
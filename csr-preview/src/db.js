@@ -0,0 +1,82 @@
+const DB_NAME = "csr-preview";
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("snapshots")) {
+          const store = db.createObjectStore("snapshots", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("sheet", "sheet");
+        }
+        if (!db.objectStoreNames.contains("csv")) {
+          db.createObjectStore("csv", { keyPath: "sheet" });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // let a newer tab upgrade the schema instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+export async function getAllByIndex(storeName, indexName, key) {
+  const db = await openDb();
+  const store = db.transaction(storeName).objectStore(storeName);
+  return promisify(store.index(indexName).getAll(key));
+}
+
+export async function getRecord(storeName, key) {
+  const db = await openDb();
+  const store = db.transaction(storeName).objectStore(storeName);
+  return promisify(store.get(key));
+}
+
+export async function putRecord(storeName, record) {
+  const db = await openDb();
+  const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+  return promisify(store.put(record));
+}
+
+export async function deleteRecords(storeName, keys) {
+  if (!keys.length) {
+    return;
+  }
+  const db = await openDb();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  keys.forEach((key) => store.delete(key));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
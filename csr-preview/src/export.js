@@ -0,0 +1,185 @@
+import { csrTier } from "./csr.js";
+
+export const DISCORD_LIMIT = 2000;
+
+const COLUMNS = ["Item", "Name", "CSR"];
+const DISCORD_ITEM_WIDTH = 34;
+const DISCORD_NAME_WIDTH = 16;
+
+export const EXPORT_FORMATS = [
+  { key: "csv", label: "CSV", extension: "csv", type: "text/csv" },
+  { key: "json", label: "JSON", extension: "json", type: "application/json" },
+  {
+    key: "markdown",
+    label: "Markdown table",
+    extension: "md",
+    type: "text/markdown",
+  },
+  { key: "discord", label: "Discord", extension: "txt", type: "text/plain" },
+];
+
+function rowCells(row) {
+  return [row.item, row.name, row.value];
+}
+
+export function buildCopyText(rows) {
+  return rows
+    .map((row) => `${row.item}\t${row.name}\t${row.value}`)
+    .join("\n");
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function formatCsv(rows) {
+  return [COLUMNS, ...rows.map(rowCells)]
+    .map((cells) => cells.map(csvField).join(","))
+    .join("\r\n");
+}
+
+export function formatJson(rows, sheetName, tiers) {
+  return JSON.stringify(
+    {
+      sheet: sheetName,
+      rows: rows.map((row) => ({
+        item: row.item,
+        name: row.name,
+        csr: row.value,
+        csrNumber: row.csrNumber,
+        tier: csrTier(row.csrNumber, tiers).className,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function markdownCell(value) {
+  return (value || " ").replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+export function formatMarkdown(rows) {
+  return [
+    `| ${COLUMNS.join(" | ")} |`,
+    "| --- | --- | ---: |",
+    ...rows.map((row) => `| ${rowCells(row).map(markdownCell).join(" | ")} |`),
+  ].join("\n");
+}
+
+function fit(value, width) {
+  const text = (value || "-").replace(/`/g, "'");
+  return text.length > width
+    ? `${text.slice(0, width - 1)}…`
+    : text.padEnd(width, " ");
+}
+
+// Aligned code blocks, split so each message stays under Discord's limit.
+// The column header is repeated in every message.
+export function buildDiscordMessages(rows, sheetName) {
+  const csrWidth = Math.max(
+    3,
+    ...rows.map((row) => (row.value || "-").length)
+  );
+  const line = (cells) =>
+    `${fit(cells[0], DISCORD_ITEM_WIDTH)} ${fit(
+      cells[1],
+      DISCORD_NAME_WIDTH
+    )} ${(cells[2] || "-").padStart(csrWidth, " ")}`.trimEnd();
+  const header = [
+    line(COLUMNS),
+    "-".repeat(DISCORD_ITEM_WIDTH + DISCORD_NAME_WIDTH + csrWidth + 2),
+  ];
+  const title = `**${sheetName}** — ${rows.length} reservation${
+    rows.length === 1 ? "" : "s"
+  }`;
+
+  const messages = [];
+  let body = [];
+  let prefix = `${title}\n`;
+
+  function wrap(lines) {
+    return `${prefix}\`\`\`\n${[...header, ...lines].join("\n")}\n\`\`\``;
+  }
+
+  rows.forEach((row) => {
+    const next = line(rowCells(row));
+    if (body.length && wrap([...body, next]).length > DISCORD_LIMIT) {
+      messages.push(wrap(body));
+      body = [];
+      prefix = "";
+    }
+    body.push(next);
+  });
+  if (body.length || !messages.length) {
+    messages.push(wrap(body));
+  }
+  return messages;
+}
+
+// Plain aligned columns for terminals, with the CSR tier spelled out.
+export function formatTable(rows, tiers) {
+  const table = [
+    [...COLUMNS, "Tier"],
+    ...rows.map((row) => [
+      ...rowCells(row).map((cell) => cell || "-"),
+      csrTier(row.csrNumber, tiers).label,
+    ]),
+  ];
+  const widths = table[0].map((_, column) =>
+    Math.max(...table.map((cells) => cells[column].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((cell, column) =>
+        column === 2
+          ? cell.padStart(widths[column], " ")
+          : cell.padEnd(widths[column], " ")
+      )
+      .join("  ")
+      .trimEnd();
+  return [
+    line(table[0]),
+    widths.map((width) => "-".repeat(width)).join("  "),
+    ...table.slice(1).map(line),
+  ].join("\n");
+}
+
+export function formatRows(rows, format, sheetName, tiers) {
+  if (format === "csv") {
+    return formatCsv(rows);
+  }
+  if (format === "json") {
+    return formatJson(rows, sheetName, tiers);
+  }
+  if (format === "markdown") {
+    return formatMarkdown(rows);
+  }
+  if (format === "discord") {
+    return buildDiscordMessages(rows, sheetName).join("\n\n");
+  }
+  if (format === "table") {
+    return formatTable(rows, tiers);
+  }
+  return buildCopyText(rows);
+}
+
+export function exportFileName(sheetName, extension) {
+  const slug = sheetName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  return `${slug || "csr"}.${extension}`;
+}
+
+export function downloadText(text, fileName, type) {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
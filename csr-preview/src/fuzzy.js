@@ -0,0 +1,178 @@
+// Accent-insensitive and typo-tolerant text matching. Every match carries the
+// range it covers in the original (unfolded) text so it can be highlighted.
+
+const WORD_BOUNDARY = /[\s'"()[\]\-_,.:/]/;
+
+// "Thrál" -> "thral", with map[i] pointing at the original index of folded[i].
+export function foldText(text) {
+  const source = text ?? "";
+  let folded = "";
+  const map = [];
+  let index = 0;
+  for (const char of source) {
+    const plain = char.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+    for (let i = 0; i < plain.length; i += 1) {
+      folded += plain[i];
+      map.push(index);
+    }
+    index += char.length;
+  }
+  map.push(source.length);
+  return { text: folded, map };
+}
+
+export function foldNeedle(text) {
+  return foldText(text).text.replace(/\s+/g, " ").trim();
+}
+
+function maxErrors(length) {
+  if (length < 3) {
+    return 0;
+  }
+  if (length <= 4) {
+    return 1;
+  }
+  return length <= 8 ? 2 : 3;
+}
+
+// Smallest edit distance between the needle and any substring of the
+// haystack (adjacent swaps count as one edit), with that substring's bounds.
+function approximateMatch(needle, haystack, limit) {
+  const n = needle.length;
+  const m = haystack.length;
+  let prevPrev = null;
+  let prev = { dist: new Array(m + 1).fill(0), start: [] };
+  for (let j = 0; j <= m; j += 1) {
+    prev.start[j] = j;
+  }
+
+  for (let i = 1; i <= n; i += 1) {
+    const row = { dist: [i], start: [0] };
+    for (let j = 1; j <= m; j += 1) {
+      const cost = needle[i - 1] === haystack[j - 1] ? 0 : 1;
+      let dist = prev.dist[j - 1] + cost;
+      let start = prev.start[j - 1];
+      if (prev.dist[j] + 1 < dist) {
+        dist = prev.dist[j] + 1;
+        start = prev.start[j];
+      }
+      if (row.dist[j - 1] + 1 < dist) {
+        dist = row.dist[j - 1] + 1;
+        start = row.start[j - 1];
+      }
+      if (
+        prevPrev &&
+        j > 1 &&
+        needle[i - 1] === haystack[j - 2] &&
+        needle[i - 2] === haystack[j - 1] &&
+        prevPrev.dist[j - 2] + 1 < dist
+      ) {
+        dist = prevPrev.dist[j - 2] + 1;
+        start = prevPrev.start[j - 2];
+      }
+      row.dist[j] = dist;
+      row.start[j] = start;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+
+  // On ties, prefer the substring whose length is closest to the needle's.
+  let best = null;
+  for (let j = 1; j <= m; j += 1) {
+    const dist = prev.dist[j];
+    const skew = Math.abs(j - prev.start[j] - n);
+    if (
+      dist <= limit &&
+      (!best || dist < best.dist || (dist === best.dist && skew < best.skew))
+    ) {
+      best = { dist, skew, start: prev.start[j], end: j };
+    }
+  }
+  return best;
+}
+
+function isWordStart(text, index) {
+  return index === 0 || WORD_BOUNDARY.test(text[index - 1]);
+}
+
+// Returns { score, start, end } with score in (0, 1], or null.
+// Exact substrings always outrank typo matches; prefixes and word starts
+// outrank matches in the middle of a word.
+export function findMatch(needle, haystack, { fuzzy = false } = {}) {
+  const folded = foldText(haystack);
+  const target = foldNeedle(needle);
+  if (!target) {
+    return null;
+  }
+  const index = folded.text.indexOf(target);
+  if (index !== -1) {
+    let score = 0.9;
+    if (index === 0) {
+      score = target.length === folded.text.length ? 1 : 0.97;
+    } else if (isWordStart(folded.text, index)) {
+      score = 0.94;
+    }
+    return {
+      score,
+      start: folded.map[index],
+      end: folded.map[index + target.length],
+    };
+  }
+  if (!fuzzy) {
+    return null;
+  }
+  const limit = maxErrors(target.length);
+  if (!limit) {
+    return null;
+  }
+  const match = approximateMatch(target, folded.text, limit);
+  if (!match || match.end <= match.start) {
+    return null;
+  }
+  const similarity = 1 - match.dist / target.length;
+  return {
+    score: 0.8 * similarity,
+    start: folded.map[match.start],
+    end: folded.map[match.end],
+  };
+}
+
+export function findExact(needle, haystack) {
+  const folded = foldText(haystack);
+  if (folded.text.trim() !== foldNeedle(needle)) {
+    return null;
+  }
+  return { score: 1, start: 0, end: (haystack ?? "").length };
+}
+
+// Splits text into plain and highlighted parts from possibly overlapping
+// [start, end) ranges.
+export function highlightParts(text, ranges) {
+  if (!ranges?.length) {
+    return [{ text, mark: false }];
+  }
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  const parts = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push({ text: text.slice(cursor, start), mark: false });
+    }
+    parts.push({ text: text.slice(start, end), mark: true });
+    cursor = end;
+  });
+  if (cursor < text.length) {
+    parts.push({ text: text.slice(cursor), mark: false });
+  }
+  return parts;
+}
@@ -0,0 +1,66 @@
+import { parseCsvDocument } from "./csv.js";
+import { readXlsx } from "./xlsx.js";
+
+export const IMPORT_ACCEPT = ".csv,.tsv,.txt,.xlsx";
+
+// Spreadsheet apps put tab-separated text on the clipboard; files can be
+// either, so pick whichever separator dominates the first lines.
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/, 5).join("\n");
+  const tabs = (sample.match(/\t/g) ?? []).length;
+  const commas = (sample.match(/,/g) ?? []).length;
+  return tabs > commas ? "\t" : ",";
+}
+
+function extensionOf(fileName) {
+  const dot = fileName.lastIndexOf(".");
+  return dot === -1 ? "" : fileName.slice(dot + 1).toLowerCase();
+}
+
+// [{ name, document }] where document is a parseCsvDocument result; XLSX
+// cells need no parsing and never carry warnings.
+export async function readImportFile(file, { strict = false } = {}) {
+  const extension = extensionOf(file.name);
+  if (extension === "xlsx") {
+    const sheets = await readXlsx(await file.arrayBuffer());
+    if (!sheets.length) {
+      throw new Error(`${file.name} has no worksheets`);
+    }
+    return sheets.map((sheet) => ({
+      name: sheets.length === 1 ? file.name : `${file.name} · ${sheet.name}`,
+      document: { rows: sheet.rows, issues: [], issueCount: 0, error: null },
+    }));
+  }
+  if (extension === "xls" || extension === "ods") {
+    throw new Error(`${file.name}: save it as .xlsx or .csv first`);
+  }
+  const text = await file.text();
+  const delimiter =
+    extension === "tsv"
+      ? "\t"
+      : extension === "csv"
+        ? ","
+        : detectDelimiter(text);
+  return [
+    { name: file.name, document: parseCsvDocument(text, { delimiter, strict }) },
+  ];
+}
+
+export async function readImportFiles(files, options) {
+  const results = await Promise.all(
+    [...files].map((file) => readImportFile(file, options))
+  );
+  return results.flat();
+}
+
+export function readPastedText(text, { strict = false } = {}) {
+  return [
+    {
+      name: "Pasted text",
+      document: parseCsvDocument(text, {
+        delimiter: detectDelimiter(text),
+        strict,
+      }),
+    },
+  ];
+}
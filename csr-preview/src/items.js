@@ -0,0 +1,204 @@
+import { foldNeedle } from "./fuzzy.js";
+import { fillTemplate } from "./links.js";
+
+// Local item metadata (public/data/items.json): quality, slot, icon and where
+// an item drops, looked up by item name as typed in the sheet. The file may
+// also list each raid's bosses in kill order.
+
+export const QUALITIES = [
+  "poor",
+  "common",
+  "uncommon",
+  "rare",
+  "epic",
+  "legendary",
+];
+
+// "[Band of Accuria]", "band of  accuria" and "Band of Accúria" are the
+// same item.
+export function itemKey(name) {
+  return foldNeedle(name)
+    .replace(/^\[(.*)\]$/, "$1")
+    .replace(/['’`]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function normalizeQuality(value) {
+  if (Number.isInteger(value) && QUALITIES[value]) {
+    return QUALITIES[value];
+  }
+  const text = String(value ?? "").toLowerCase();
+  return QUALITIES.includes(text) ? text : "common";
+}
+
+function normalizeItem(raw) {
+  const name = typeof raw?.name === "string" ? raw.name.trim() : "";
+  if (!name) {
+    return null;
+  }
+  const text = (key) =>
+    typeof raw[key] === "string" && raw[key].trim() ? raw[key].trim() : null;
+  // One boss, or several for shared drops ("boss": ["Firemaw", "Ebonroc"]).
+  const bosses = (Array.isArray(raw.boss) ? raw.boss : [raw.boss])
+    .filter((boss) => typeof boss === "string" && boss.trim())
+    .map((boss) => boss.trim());
+  return {
+    id: Number.isInteger(raw.id) ? raw.id : null,
+    name,
+    quality: normalizeQuality(raw.quality),
+    slot: text("slot"),
+    icon: text("icon"),
+    boss: bosses.join(", ") || null,
+    bosses,
+    raid: text("raid"),
+  };
+}
+
+// Kill order per raid: [{ name, bosses: [...] }].
+function normalizeRaids(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((raid) => typeof raid?.name === "string" && raid.name.trim())
+    .map((raid) => ({
+      name: raid.name.trim(),
+      bosses: (Array.isArray(raid.bosses) ? raid.bosses : [])
+        .filter((boss) => typeof boss === "string" && boss.trim())
+        .map((boss) => boss.trim()),
+    }));
+}
+
+export function buildItemIndex(list, raids = []) {
+  const byKey = new Map();
+  const aliases = new Map();
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    const item = normalizeItem(raw);
+    if (item && !byKey.has(itemKey(item.name))) {
+      byKey.set(itemKey(item.name), item);
+      // Sheets often shorten "Ashkandi, Greatsword of the Brotherhood".
+      const short = item.name.split(",")[0];
+      if (short !== item.name) {
+        aliases.set(itemKey(short), item);
+      }
+    }
+  });
+  aliases.forEach((item, key) => {
+    if (!byKey.has(key)) {
+      byKey.set(key, item);
+    }
+  });
+  const itemRaids = new Set(
+    [...byKey.values()]
+      .filter((item) => item.raid)
+      .map((item) => itemKey(item.raid))
+  );
+  return {
+    byKey,
+    raids: normalizeRaids(raids),
+    itemRaids,
+    suggestions: new Map(),
+  };
+}
+
+// Resolves to null when the file is missing or unreadable; items then show
+// as plain text without warnings.
+export async function loadItemIndex(url) {
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) {
+      return null;
+    }
+    const data = await response.json();
+    const index = Array.isArray(data)
+      ? buildItemIndex(data)
+      : buildItemIndex(data?.items, data?.raids);
+    return index.byKey.size ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+// Optimal string alignment distance, giving up once it exceeds limit.
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return Infinity;
+  }
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        before &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      row.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > limit) {
+      return Infinity;
+    }
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function suggest(index, key) {
+  if (!index.suggestions.has(key)) {
+    const limit = Math.max(2, Math.floor(key.length / 6));
+    let best = null;
+    let bestDistance = limit + 1;
+    index.byKey.forEach((item, candidate) => {
+      const distance = editDistance(key, candidate, bestDistance - 1);
+      if (distance < bestDistance) {
+        best = item;
+        bestDistance = distance;
+      }
+    });
+    index.suggestions.set(key, best);
+  }
+  return index.suggestions.get(key);
+}
+
+// { item, suggestion } where item is null for names not in the index and
+// suggestion is the closest known name, if any. null without an index.
+export function lookupItem(index, name) {
+  if (!index || !name?.trim()) {
+    return null;
+  }
+  const key = itemKey(name);
+  const item = index.byKey.get(key) ?? null;
+  return { item, suggestion: item ? null : suggest(index, key) };
+}
+
+// The raid a sheet is for (config.raids), or null.
+export function sheetRaid(config, sheetName) {
+  return config.raids?.[sheetName] ?? null;
+}
+
+// Whether the item list has the items of a raid, so that a name missing from
+// it is likely misspelled rather than just not listed.
+export function coversRaid(index, raid) {
+  return Boolean(index && raid && index.itemRaids.has(itemKey(raid)));
+}
+
+// Icons are either full URLs or names filled into the configured template.
+export function itemIconUrl(item, template) {
+  if (!item?.icon) {
+    return null;
+  }
+  if (/^https?:\/\//i.test(item.icon)) {
+    return item.icon;
+  }
+  return template
+    ? fillTemplate(template, { icon: item.icon.toLowerCase() })
+    : null;
+}
@@ -0,0 +1,181 @@
+// Where item and character names link to. A provider has URL templates with
+// {item}, {name} and {realm} placeholders; items and characters can come from
+// different providers, and each sheet can override the realm or providers.
+
+export const BUILTIN_PROVIDERS = {
+  turtlecraft: {
+    label: "Turtle WoW",
+    item: "https://database.turtlecraft.gg/?search={item}",
+    character: "https://turtlecraft.gg/armory/{realm}/{name}",
+    realms: ["Nordanaar", "Tel'Abim", "Ambershire"],
+  },
+  wowhead: {
+    label: "Wowhead Classic",
+    item: "https://www.wowhead.com/classic/search?q={item}",
+    character: null,
+    realms: [],
+  },
+};
+
+export const DEFAULT_LINKS = {
+  items: "turtlecraft",
+  characters: "turtlecraft",
+  realm: "Tel'Abim",
+  // { "BWL CSR": { realm, items, characters } }
+  sheets: {},
+  // Custom providers, same shape as BUILTIN_PROVIDERS.
+  providers: {},
+};
+
+function cleanText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function cleanTemplate(value) {
+  const text = cleanText(value);
+  return /^https?:\/\/\S+$/i.test(text) ? text : null;
+}
+
+function cleanOverride(raw) {
+  const override = {};
+  ["items", "characters", "realm"].forEach((key) => {
+    const text = cleanText(raw?.[key]);
+    if (text) {
+      override[key] = text;
+    }
+  });
+  return override;
+}
+
+function cleanProvider(raw, id) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const item = cleanTemplate(raw.item);
+  const character = cleanTemplate(raw.character);
+  if (!item && !character) {
+    return null;
+  }
+  return {
+    label: cleanText(raw.label) || id,
+    item,
+    character,
+    realms: Array.isArray(raw.realms)
+      ? raw.realms.map(cleanText).filter(Boolean)
+      : [],
+  };
+}
+
+// A hand-written links section -> a clean override layer, or null. A sheet or
+// provider set to null removes the one from an earlier layer.
+export function normalizeLinks(raw) {
+  if (!raw || typeof raw !== "object") {
+    return null;
+  }
+  const links = cleanOverride(raw);
+  if (raw.sheets && typeof raw.sheets === "object") {
+    const sheets = {};
+    Object.entries(raw.sheets).forEach(([sheet, value]) => {
+      if (value === null) {
+        sheets[sheet] = null;
+        return;
+      }
+      const override = cleanOverride(value);
+      if (Object.keys(override).length) {
+        sheets[sheet] = override;
+      }
+    });
+    links.sheets = sheets;
+  }
+  if (raw.providers && typeof raw.providers === "object") {
+    const providers = {};
+    Object.entries(raw.providers).forEach(([id, value]) => {
+      if (value === null) {
+        providers[id] = null;
+        return;
+      }
+      const provider = cleanProvider(value, id);
+      if (provider) {
+        providers[id] = provider;
+      }
+    });
+    links.providers = providers;
+  }
+  return Object.keys(links).length ? links : null;
+}
+
+// Entries set to null in a later layer remove the earlier one.
+export function withoutNulls(entries) {
+  return Object.fromEntries(
+    Object.entries(entries).filter(([, value]) => value !== null)
+  );
+}
+
+export function mergeLinks(base, layer = {}) {
+  return {
+    ...base,
+    ...layer,
+    sheets: withoutNulls({ ...base.sheets, ...layer.sheets }),
+    providers: withoutNulls({ ...base.providers, ...layer.providers }),
+  };
+}
+
+export function linkProviders(config) {
+  return { ...BUILTIN_PROVIDERS, ...config.links.providers };
+}
+
+// Every realm the config knows of: the providers' realms and the ones set
+// for all sheets or for one.
+export function knownRealms(config) {
+  return [
+    ...new Set([
+      ...Object.values(linkProviders(config)).flatMap(
+        (provider) => provider.realms ?? []
+      ),
+      config.links.realm,
+      ...Object.values(config.links.sheets).map((sheet) => sheet.realm),
+    ]),
+  ].filter(Boolean);
+}
+
+// The providers and realm in effect for one sheet.
+export function sheetLinks(config, sheetName) {
+  const links = { ...config.links, ...config.links.sheets[sheetName] };
+  const providers = linkProviders(config);
+  return {
+    items: providers[links.items] ?? BUILTIN_PROVIDERS.turtlecraft,
+    characters: providers[links.characters] ?? BUILTIN_PROVIDERS.turtlecraft,
+    realm: links.realm,
+  };
+}
+
+// encodeURIComponent leaves ' ( ) ! * alone; armory paths need them escaped
+// ("Tel%27Abim").
+function encode(value) {
+  return encodeURIComponent(value).replace(
+    /['()!*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.hasOwn(values, key) ? encode(values[key] ?? "") : match
+  );
+}
+
+export function itemUrl(config, sheetName, item) {
+  const { items, realm } = sheetLinks(config, sheetName);
+  if (!items.item || !item) {
+    return null;
+  }
+  return fillTemplate(items.item, { item, realm });
+}
+
+export function characterUrl(config, sheetName, name) {
+  const { characters, realm } = sheetLinks(config, sheetName);
+  if (!characters.character || !name) {
+    return null;
+  }
+  return fillTemplate(characters.character, { name, realm });
+}
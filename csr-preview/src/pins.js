@@ -0,0 +1,117 @@
+import { normalizeName } from "./csr.js";
+import { formatDelta } from "./snapshots.js";
+
+// "My characters": names pinned in this browser. Their rows float to the top
+// of every sheet, and changes to their reservations since the last visit are
+// called out.
+
+const STORAGE_KEY = "csrPins";
+
+export function readPins() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved)
+      ? saved.filter((name) => typeof name === "string" && name.trim())
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePins(names) {
+  try {
+    if (names.length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(names));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// Adds or removes name, matching pins case-insensitively.
+export function togglePin(names, name) {
+  const key = normalizeName(name);
+  return names.some((entry) => normalizeName(entry) === key)
+    ? names.filter((entry) => normalizeName(entry) !== key)
+    : [...names, name.trim()];
+}
+
+export function pinKeys(names) {
+  return new Set(names.map(normalizeName));
+}
+
+export function isPinned(keys, row) {
+  return keys.has(normalizeName(row.name));
+}
+
+// Pinned rows first, each part keeping its order.
+export function floatPinned(rows, keys) {
+  if (!keys.size) {
+    return rows;
+  }
+  const pinned = rows.filter((row) => isPinned(keys, row));
+  return pinned.length
+    ? [...pinned, ...rows.filter((row) => !isPinned(keys, row))]
+    : rows;
+}
+
+// [{ name, raids: [{ sheet, rows, best }] }]: each pin's reservations per
+// sheet, highest CSR first.
+export function pinnedRaids(names, sheets) {
+  return names.map((name) => {
+    const key = normalizeName(name);
+    const raids = sheets
+      .map((sheet) => {
+        const rows = sheet.rows
+          .filter((row) => normalizeName(row.name) === key)
+          .sort(
+            (a, b) => (b.csrNumber ?? -Infinity) - (a.csrNumber ?? -Infinity)
+          );
+        return { sheet: sheet.name, rows, best: rows[0]?.csrNumber ?? null };
+      })
+      .filter((raid) => raid.rows.length);
+    return { name, raids };
+  });
+}
+
+// Changes since the last visit (see snapshots.js) that touch a pinned
+// character: [{ key, sheet, type, row, text }].
+export function pinnedChanges(sheets, keys) {
+  return sheets.flatMap((sheet) => {
+    const changes = sheet.changes;
+    if (!changes || !keys.size) {
+      return [];
+    }
+    const pinned = (row) => isPinned(keys, row);
+    const moved = [...changes.increased, ...changes.decreased]
+      .filter((change) => pinned(change.row))
+      .map((change) => ({
+        type: change.delta >= 0 ? "increased" : "decreased",
+        row: change.row,
+        text: `${change.row.item}: ${change.from} → ${
+          change.to
+        } (${formatDelta(change.delta)})`,
+      }));
+    return [
+      ...changes.added.filter(pinned).map((row) => ({
+        type: "added",
+        row,
+        text: `new reservation for ${row.item}${
+          row.value ? ` (${row.value})` : ""
+        }`,
+      })),
+      ...changes.removed.filter(pinned).map((row) => ({
+        type: "removed",
+        row,
+        text: `${row.item} is no longer reserved`,
+      })),
+      ...moved,
+    ].map((alert) => ({
+      ...alert,
+      key: `${sheet.name}\u0000${alert.type}\u0000${alert.row.name}\u0000${alert.row.item}\u0000${alert.row.value}`,
+      sheet: sheet.name,
+    }));
+  });
+}
@@ -0,0 +1,302 @@
+import { csrTier } from "./csr.js";
+import { DEFAULT_TIERS, NO_SCORE_TIER } from "./tiers.js";
+import { findExact, findMatch } from "./fuzzy.js";
+
+// Search syntax:
+//   onslaught                 item or name contains "onslaught"
+//   "onslaught girdle"        quoted phrase
+//   item:girdle name:thrall   field contains value
+//   item="Onslaught Girdle"   field equals value
+//   csr>=50 csr<75 csr:50..75 numeric comparisons and ranges
+//   tier:gold tier:high       tier id or label (see tiers.js), or none
+//   -name:alt                 negate any term
+//   class:warrior attendance>=5
+//                             other sheet columns, by header (see columns.js)
+// Text comparisons ignore case and accents. In fuzzy mode, item and name
+// terms also tolerate typos and rows are ranked by how well they match.
+
+export const QUERY_FIELDS = ["item", "name", "csr", "tier"];
+
+const OPERATORS = [">=", "<=", "!=", ">", "<", "=", ":"];
+const TEXT_OPERATORS = [":", "=", "!="];
+
+// A leading number in a sheet cell ("12", "85%", "3,5 raids").
+function parseCellNumber(text) {
+  const match = (text ?? "").trim().match(/^[-+]?\d+(?:[.,]\d+)?/);
+  return match ? Number(match[0].replace(",", ".")) : null;
+}
+
+// tier:<id or label>; "none" is an alias for rows without a score.
+function findTierId(value, tiers) {
+  const wanted = value.toLowerCase().replace(/[\s_-]+/g, "");
+  const key = (text) => text.toLowerCase().replace(/[\s_-]+/g, "");
+  if (wanted === "none" || wanted === NO_SCORE_TIER.id) {
+    return NO_SCORE_TIER.id;
+  }
+  const tier = tiers.find(
+    (entry) => key(entry.id) === wanted || key(entry.label) === wanted
+  );
+  return tier?.id ?? null;
+}
+
+function isSpace(char) {
+  return /\s/.test(char);
+}
+
+function readValue(text, start) {
+  if (text[start] === '"') {
+    const close = text.indexOf('"', start + 1);
+    if (close === -1) {
+      return {
+        value: text.slice(start + 1),
+        end: text.length,
+        error: "Missing closing quote",
+      };
+    }
+    return { value: text.slice(start + 1, close), end: close + 1 };
+  }
+  let end = start;
+  while (end < text.length && !isSpace(text[end])) {
+    end += 1;
+  }
+  return { value: text.slice(start, end), end };
+}
+
+function readOperator(text, start) {
+  return OPERATORS.find((operator) => text.startsWith(operator, start)) ?? null;
+}
+
+function parseNumber(value) {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? number : null;
+}
+
+function buildTerm({ field, operator, value, negate }, tiers, column) {
+  const term = { field, operator, value, negate };
+  if (column) {
+    if (TEXT_OPERATORS.includes(operator)) {
+      return { ...term, column: column.index };
+    }
+    const number = parseNumber(value);
+    if (number == null) {
+      return { error: `"${value}" is not a number` };
+    }
+    return { ...term, column: column.index, number };
+  }
+  if (field === "csr") {
+    if (operator === ":" && value.includes("..")) {
+      const [low, high] = value.split("..");
+      const min = low ? parseNumber(low) : -Infinity;
+      const max = high ? parseNumber(high) : Infinity;
+      if (min == null || max == null) {
+        return { error: `"${value}" is not a CSR range like 50..75` };
+      }
+      return { ...term, operator: "range", min, max };
+    }
+    const number = parseNumber(value);
+    if (number == null) {
+      return { error: `"${value}" is not a number` };
+    }
+    return { ...term, number };
+  }
+  if (!TEXT_OPERATORS.includes(operator)) {
+    return { error: `${field} only supports ":", "=" and "!="` };
+  }
+  if (field === "tier") {
+    const tier = findTierId(value, tiers);
+    if (!tier) {
+      return {
+        error: `Unknown tier "${value}" (use ${tiers
+          .map((entry) => entry.id)
+          .join(", ")} or none)`,
+      };
+    }
+    return { ...term, tier };
+  }
+  return term;
+}
+
+// columns: extra sheet columns from sheetColumns(), searchable by their key.
+export function parseQuery(text, { tiers = DEFAULT_TIERS, columns = [] } = {}) {
+  const source = text ?? "";
+  const terms = [];
+  const errors = [];
+  let index = 0;
+
+  while (index < source.length) {
+    if (isSpace(source[index])) {
+      index += 1;
+      continue;
+    }
+    const start = index;
+    let negate = false;
+    if (source[index] === "-" && index + 1 < source.length) {
+      negate = !isSpace(source[index + 1]);
+      if (negate) {
+        index += 1;
+      }
+    }
+
+    const fieldMatch = source.slice(index).match(/^([a-z]+)(?=[:=<>!])/i);
+    const field = fieldMatch?.[1].toLowerCase();
+    const operator = fieldMatch
+      ? readOperator(source, index + fieldMatch[1].length)
+      : null;
+
+    if (field && operator) {
+      const valueStart = index + fieldMatch[1].length + operator.length;
+      const { value, end, error } = readValue(source, valueStart);
+      index = end;
+      const raw = source.slice(start, end);
+      const column = QUERY_FIELDS.includes(field)
+        ? null
+        : columns.find((entry) => entry.key === field);
+      if (!QUERY_FIELDS.includes(field) && !column) {
+        const fields = [
+          ...QUERY_FIELDS,
+          ...columns.map((entry) => entry.key).filter(Boolean),
+        ];
+        errors.push({
+          message: `Unknown field "${field}" (use ${fields.join(", ")})`,
+          start,
+          end,
+        });
+        continue;
+      }
+      if (error || !value.trim()) {
+        errors.push({
+          message: error ?? `Missing value after "${raw}"`,
+          start,
+          end,
+        });
+        continue;
+      }
+      const term = buildTerm(
+        {
+          field,
+          operator: operator === "!=" ? "=" : operator,
+          value: value.trim(),
+          negate: operator === "!=" ? !negate : negate,
+        },
+        tiers,
+        column
+      );
+      if (term.error) {
+        errors.push({ message: term.error, start, end });
+      } else {
+        terms.push(term);
+      }
+      continue;
+    }
+
+    const { value, end, error } = readValue(source, index);
+    index = end;
+    if (error) {
+      errors.push({ message: error, start, end });
+      continue;
+    }
+    if (value.trim() && value !== "-") {
+      terms.push({ field: null, operator: ":", value, negate });
+    }
+  }
+
+  return { text: source, terms, errors };
+}
+
+function matchText(haystack, term, options) {
+  return term.operator === "="
+    ? findExact(term.value, haystack)
+    : findMatch(term.value, haystack, options);
+}
+
+function matchCsr(value, term) {
+  if (value == null) {
+    return false;
+  }
+  switch (term.operator) {
+    case ">":
+      return value > term.number;
+    case ">=":
+      return value >= term.number;
+    case "<":
+      return value < term.number;
+    case "<=":
+      return value <= term.number;
+    case "range":
+      return value >= term.min && value <= term.max;
+    default:
+      return value === term.number;
+  }
+}
+
+function isTextTerm(term) {
+  return (
+    term.column == null &&
+    (term.field == null || term.field === "item" || term.field === "name")
+  );
+}
+
+// Matches per row field ({ item, name }) for text terms, true/false otherwise.
+function matchTerm(row, term, options) {
+  if (term.column != null) {
+    const cell = row.cells?.[term.column] ?? "";
+    return term.number == null
+      ? Boolean(matchText(cell.trim(), term, options))
+      : matchCsr(parseCellNumber(cell), term);
+  }
+  if (term.field === "csr") {
+    return matchCsr(row.csrNumber, term);
+  }
+  if (term.field === "tier") {
+    return csrTier(row.csrNumber, options.tiers).className === term.tier;
+  }
+  const hits = {};
+  if (term.field !== "name") {
+    hits.item = matchText(row.item, term, options);
+  }
+  if (term.field !== "item") {
+    hits.name = matchText(row.name, term, options);
+  }
+  return hits.item || hits.name ? hits : false;
+}
+
+// null when the row is filtered out, otherwise its relevance score and the
+// ranges to highlight in the item and name cells.
+export function matchRow(row, query, options = {}) {
+  const result = { score: 0, highlights: { item: [], name: [] } };
+  for (const term of query.terms) {
+    const hits = matchTerm(row, term, options);
+    if (Boolean(hits) === term.negate) {
+      return null;
+    }
+    if (term.negate || !isTextTerm(term)) {
+      continue;
+    }
+    let best = 0;
+    ["item", "name"].forEach((field) => {
+      const hit = hits[field];
+      if (hit) {
+        result.highlights[field].push([hit.start, hit.end]);
+        best = Math.max(best, hit.score);
+      }
+    });
+    result.score += best;
+  }
+  return result;
+}
+
+export function matchesQuery(row, query, options) {
+  return matchRow(row, query, options) != null;
+}
+
+export function hasTextTerms(query) {
+  return query.terms.some((term) => !term.negate && isTextTerm(term));
+}
+
+export function describeQueryErrors(query) {
+  return query.errors.map((error) => error.message).join(" · ");
+}
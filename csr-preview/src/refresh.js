@@ -0,0 +1,61 @@
+// Background refresh timing and the per-sheet sync status shown in the tabs.
+
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// 5 s, 10 s, 20 s, ... up to 5 minutes, with ±20% jitter so sheets that
+// failed together do not retry in lockstep.
+export function retryDelay(failures, random = Math.random) {
+  const base = Math.min(
+    RETRY_MAX_MS,
+    RETRY_BASE_MS * 2 ** Math.max(0, failures - 1)
+  );
+  return Math.round(base * (0.8 + random() * 0.4));
+}
+
+export function formatInterval(seconds) {
+  if (seconds < 60) {
+    return `${seconds} s`;
+  }
+  const minutes = Math.round(seconds / 6) / 10;
+  return `${minutes} min`;
+}
+
+function formatTime(date) {
+  return date.toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+// { state, label } where state is "syncing", "ok", "cached" or "error".
+export function syncStatus(sheet) {
+  if (sheet.temporary) {
+    return { state: "ok", label: `Local preview of ${sheet.sourceLabel}` };
+  }
+  const synced = sheet.updatedAt
+    ? `Last synced ${formatTime(sheet.updatedAt)}`
+    : "Never synced";
+  if (sheet.failures > 0) {
+    const retry = sheet.nextRetryAt
+      ? ` · retrying at ${formatTime(sheet.nextRetryAt)}`
+      : "";
+    return {
+      state: "error",
+      label: `${synced} · ${sheet.failures} failed attempt${
+        sheet.failures === 1 ? "" : "s"
+      }${retry}`,
+    };
+  }
+  if (sheet.status === "loading" || sheet.refreshing) {
+    return { state: "syncing", label: `${synced} · refreshing…` };
+  }
+  if (sheet.cachedAt) {
+    return {
+      state: "cached",
+      label: `Cached copy from ${sheet.cachedAt.toLocaleString()}`,
+    };
+  }
+  return { state: sheet.status === "error" ? "error" : "ok", label: synced };
+}
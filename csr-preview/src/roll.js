@@ -0,0 +1,147 @@
+import { normalizeName } from "./csr.js";
+
+export const ROLL_MAX = 100;
+
+export const RULES = [
+  { key: "roll-plus-csr", label: `Roll 1–${ROLL_MAX} + CSR` },
+  { key: "csr-then-roll", label: "Highest CSR, roll breaks ties" },
+];
+
+const MAX_TIEBREAKS = 20;
+
+// FNV-1a followed by a murmur-style finalizer, so short seeds still spread.
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i += 1) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// mulberry32: tiny, fast and identical in every JS engine.
+export function createRng(seed) {
+  let state = hashSeed(String(seed));
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomSeed() {
+  const values = new Uint32Array(2);
+  crypto.getRandomValues(values);
+  return [...values].map((value) => value.toString(36)).join("");
+}
+
+function rollDie(rng) {
+  return 1 + Math.floor(rng() * ROLL_MAX);
+}
+
+function compareEntries(a, b, rule) {
+  if (rule === "csr-then-roll" && a.csr !== b.csr) {
+    return b.csr - a.csr;
+  }
+  if (rule === "roll-plus-csr" && a.total !== b.total) {
+    return b.total - a.total;
+  }
+  // The first roll already counts towards the total under roll-plus-csr.
+  const start = rule === "roll-plus-csr" ? 1 : 0;
+  for (let i = start; i < Math.max(a.rolls.length, b.rolls.length); i += 1) {
+    const left = a.rolls[i] ?? 0;
+    const right = b.rolls[i] ?? 0;
+    if (left !== right) {
+      return right - left;
+    }
+  }
+  return 0;
+}
+
+export function resolveDrop({ item, rows, rule, seed }) {
+  const rng = createRng(seed);
+  // Roll in a fixed order so the same seed always yields the same result.
+  const entries = [...rows]
+    .sort(
+      (a, b) =>
+        normalizeName(a.name).localeCompare(normalizeName(b.name)) ||
+        a.rowNumber - b.rowNumber
+    )
+    .map((row) => {
+      const csr = row.csrNumber ?? 0;
+      const roll = rollDie(rng);
+      return {
+        row,
+        name: row.name,
+        csr,
+        roll,
+        rolls: [roll],
+        total: rule === "roll-plus-csr" ? roll + csr : csr,
+      };
+    });
+
+  for (let round = 0; round < MAX_TIEBREAKS; round += 1) {
+    const sorted = [...entries].sort((a, b) => compareEntries(a, b, rule));
+    const tied = sorted.filter((entry, index) =>
+      sorted.some(
+        (other, otherIndex) =>
+          otherIndex !== index && compareEntries(entry, other, rule) === 0
+      )
+    );
+    if (!tied.length) {
+      break;
+    }
+    tied.forEach((entry) => {
+      entry.rolls.push(rollDie(rng));
+    });
+  }
+
+  const results = [...entries]
+    .sort((a, b) => compareEntries(a, b, rule))
+    .map((entry, index) => ({
+      ...entry,
+      place: index + 1,
+      tiebreaks: entry.rolls.slice(1),
+    }));
+
+  return {
+    item,
+    rule,
+    seed: String(seed),
+    results,
+    winner: results[0] ?? null,
+  };
+}
+
+function describeEntry(entry, rule) {
+  const tiebreak = entry.tiebreaks.length
+    ? ` (tiebreak ${entry.tiebreaks.join(", ")})`
+    : "";
+  if (rule === "roll-plus-csr") {
+    return `roll ${entry.roll} + CSR ${entry.csr} = ${entry.total}${tiebreak}`;
+  }
+  return `CSR ${entry.csr}, roll ${entry.roll}${tiebreak}`;
+}
+
+export function formatResolution(resolution) {
+  const rule = RULES.find((entry) => entry.key === resolution.rule);
+  const lines = [
+    `${resolution.item} — ${rule ? rule.label : resolution.rule}`,
+    `Seed: ${resolution.seed}`,
+    ...resolution.results.map(
+      (entry) =>
+        `${entry.place}. ${entry.name} — ${describeEntry(entry, resolution.rule)}`
+    ),
+  ];
+  if (resolution.winner) {
+    lines.push(`Winner: ${resolution.winner.name}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,126 @@
+import { foldNeedle } from "./fuzzy.js";
+
+// Tonight's raid, pasted as one name per line or as a raid-frame or addon
+// export. Lines that look like a record ("Thrall, Shaman, 60, Orgrimmar")
+// contribute their first name; other lines ("Group 1: Thrall Jaina Rexxar")
+// contribute every name.
+
+const CLASSES = new Set([
+  "warrior",
+  "paladin",
+  "hunter",
+  "rogue",
+  "priest",
+  "shaman",
+  "mage",
+  "warlock",
+  "druid",
+]);
+
+const NOT_NAMES = new Set([
+  ...CLASSES,
+  "group",
+  "party",
+  "raid",
+  "tank",
+  "healer",
+  "dps",
+  "melee",
+  "ranged",
+  "leader",
+  "assist",
+  "online",
+  "offline",
+  "dead",
+  "level",
+  "name",
+  "class",
+]);
+
+// Character names are 2 to 12 letters; a "-Realm" suffix is dropped.
+const NAME = /^\p{L}{2,12}$/u;
+
+// "Thrál-Nordanaar" and "thral" are the same character.
+export function rosterKey(name) {
+  return foldNeedle(name ?? "")
+    .replace(/-.*$/, "")
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "-Some Realm" suffixes of the known realms with spaces in their name; other
+// realms are one word and dropped by cleanToken.
+function realmSuffixes(realms) {
+  const spaced = realms.filter((realm) => /\s/.test(realm.trim()));
+  if (!spaced.length) {
+    return null;
+  }
+  const names = spaced.map((realm) =>
+    escapeRegExp(realm.trim()).replace(/\s+/g, "\\s+")
+  );
+  return new RegExp(`-(?:${names.join("|")})(?![\\p{L}'])`, "giu");
+}
+
+function cleanToken(token) {
+  return token
+    .replace(/^[[(<"']+|[\])>"'.:]+$/g, "")
+    .replace(/-[\p{L}' ]+$/u, "");
+}
+
+function isName(token) {
+  return NAME.test(token) && !NOT_NAMES.has(token.toLowerCase());
+}
+
+// { names: [display names in paste order], keys: Set of rosterKey values }
+// realms lists the realm names a "-Realm" suffix may use (see knownRealms in
+// links.js); only the ones with spaces need it.
+export function parseRoster(text, { realms = [] } = {}) {
+  const names = new Map();
+  const suffixes = realmSuffixes(realms);
+  (text ?? "").split(/\r?\n/).forEach((line) => {
+    const body = (suffixes ? line.replace(suffixes, "") : line)
+      .replace(/^\s*(group|party|raid)\s*\d+\s*:?/i, "")
+      .replace(/^\s*#?\d+[.):]?\s+/, "");
+    const tokens = body
+      .split(/[\s,;|]+/)
+      .map(cleanToken)
+      .filter(Boolean);
+    const candidates = tokens.filter(isName);
+    const record = tokens.some(
+      (token) => CLASSES.has(token.toLowerCase()) || /^\d+$/.test(token)
+    );
+    (record ? candidates.slice(0, 1) : candidates).forEach((name) => {
+      const key = rosterKey(name);
+      if (!names.has(key)) {
+        names.set(key, name);
+      }
+    });
+  });
+  return { names: [...names.values()], keys: new Set(names.keys()) };
+}
+
+export function isPresent(roster, row) {
+  return roster.keys.has(rosterKey(row.name));
+}
+
+// Present and absent reservations, and raiders with no reservation in rows.
+export function rosterStatus(rows, roster) {
+  const present = [];
+  const absent = [];
+  const reserved = new Set();
+  rows.forEach((row) => {
+    if (!row.name) {
+      return;
+    }
+    reserved.add(rosterKey(row.name));
+    (isPresent(roster, row) ? present : absent).push(row);
+  });
+  return {
+    present,
+    absent,
+    unreserved: roster.names.filter((name) => !reserved.has(rosterKey(name))),
+  };
+}
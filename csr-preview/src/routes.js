@@ -0,0 +1,132 @@
+import { columnIndex, columnLetter } from "./config.js";
+
+// The page and sheet live in the hash (#/BWL CSR, #/player/Thrall); the view
+// of a sheet (search, sort, row view, extra columns, highlighted row) in
+// query parameters, so a shared link opens exactly what the sender saw.
+
+export const PLAYER_ROUTE = "player/";
+export const SETTINGS_ROUTE = "settings";
+export const STATS_ROUTE = "stats";
+
+export const DEFAULT_SORT = { key: "csr", dir: "desc" };
+const SORT_FIELDS = ["item", "name", "csr"];
+const VIEW_PARAM_KEYS = [
+  "q",
+  "fuzzy",
+  "present",
+  "sort",
+  "view",
+  "show",
+  "row",
+];
+
+export function sheetHref(name) {
+  return `#/${encodeURIComponent(name)}`;
+}
+
+export function playerHref(name) {
+  return `#/${PLAYER_ROUTE}${encodeURIComponent(name)}`;
+}
+
+export function settingsHref() {
+  return `#/${SETTINGS_ROUTE}`;
+}
+
+export function statsHref() {
+  return `#/${STATS_ROUTE}`;
+}
+
+export function navigateTo(href) {
+  window.location.hash = href;
+}
+
+// Redirects (an empty or unknown sheet in the hash) replace the current entry
+// so the back button does not land on them again.
+export function replaceRoute(href) {
+  window.history.replaceState(
+    window.history.state,
+    "",
+    `${window.location.pathname}${window.location.search}${href}`
+  );
+}
+
+export function readRoute() {
+  const raw = window.location.hash.replace(/^#\/?/, "");
+  return raw ? decodeURIComponent(raw) : "";
+}
+
+// "name", "-csr" (descending), "D" for an extra sheet column; the default
+// CSR descending sort is left out.
+function formatSort(sort) {
+  const key = typeof sort.key === "number" ? columnLetter(sort.key) : sort.key;
+  return `${sort.dir === "desc" ? "-" : ""}${key}`;
+}
+
+function parseSort(value) {
+  const match = (value ?? "").match(/^(-?)(item|name|csr|[A-Z]{1,3})$/);
+  if (!match) {
+    return DEFAULT_SORT;
+  }
+  const dir = match[1] ? "desc" : "asc";
+  const key = SORT_FIELDS.includes(match[2]) ? match[2] : columnIndex(match[2]);
+  return { key, dir };
+}
+
+// "T,W" -> [19, 22]: the extra sheet columns shown, by column letter.
+function parseColumns(value) {
+  return (value ?? "")
+    .split(",")
+    .filter((letter) => /^[A-Z]{1,3}$/.test(letter))
+    .map(columnIndex)
+    .sort((a, b) => a - b);
+}
+
+// { query, fuzzy, present, sort, view, columns, row } from the query string;
+// columns are column indexes and row is a spreadsheet row number or null.
+export function readViewState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const row = Number(params.get("row"));
+  return {
+    query: params.get("q") ?? "",
+    fuzzy: params.get("fuzzy") === "1",
+    present: params.get("present") === "1",
+    sort: parseSort(params.get("sort")),
+    view: params.get("view") || "rows",
+    columns: parseColumns(params.get("show")),
+    row: Number.isInteger(row) && row > 0 ? row : null,
+  };
+}
+
+export function hasViewState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return VIEW_PARAM_KEYS.some((key) => params.has(key));
+}
+
+// The current URL with the view parameters replaced; other parameters (a
+// shared config) and the hash are kept.
+export function viewStateUrl({
+  query,
+  fuzzy,
+  present,
+  sort,
+  view,
+  columns,
+  row,
+}) {
+  const params = new URLSearchParams(window.location.search);
+  VIEW_PARAM_KEYS.forEach((key) => params.delete(key));
+  if (query) params.set("q", query);
+  if (fuzzy) params.set("fuzzy", "1");
+  if (present) params.set("present", "1");
+  if (sort.key !== DEFAULT_SORT.key || sort.dir !== DEFAULT_SORT.dir) {
+    params.set("sort", formatSort(sort));
+  }
+  if (view !== "rows") params.set("view", view);
+  if (columns.length) params.set("show", columns.map(columnLetter).join(","));
+  if (row != null) params.set("row", String(row));
+
+  const search = params.toString();
+  return `${window.location.pathname}${search ? `?${search}` : ""}${
+    window.location.hash
+  }`;
+}
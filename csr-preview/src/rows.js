@@ -0,0 +1,59 @@
+import { matchRow } from "./query.js";
+import { isPresent } from "./roster.js";
+
+// Map of row -> { score, highlights } for the rows matching a parsed query.
+// With options.roster, only rows of players in that roster are kept.
+export function filterRows(rows, query, options) {
+  const matches = new Map();
+  rows.forEach((row) => {
+    if (options?.roster && !isPresent(options.roster, row)) {
+      return;
+    }
+    const match = matchRow(row, query, options);
+    if (match) {
+      matches.set(row, match);
+    }
+  });
+  return matches;
+}
+
+// Stable, so rows with the same score keep the column sort.
+export function rankRows(rows, matches) {
+  return [...rows].sort((a, b) => matches.get(b).score - matches.get(a).score);
+}
+
+// Extra sheet columns sort text with numbers in numeric order, and empty
+// cells last.
+function compareCells(a, b, index, dir) {
+  const left = (a.cells[index] ?? "").trim();
+  const right = (b.cells[index] ?? "").trim();
+  if (!left || !right) {
+    return Boolean(right) - Boolean(left);
+  }
+  const order = left.localeCompare(right, undefined, { numeric: true });
+  return dir === "asc" ? order : -order;
+}
+
+// sort.key is "item", "name", "csr" or the index of an extra sheet column.
+export function sortRows(rows, sort) {
+  const sorted = [...rows];
+  sorted.sort((a, b) => {
+    if (typeof sort.key === "number") {
+      return compareCells(a, b, sort.key, sort.dir);
+    }
+    if (sort.key === "csr") {
+      const left = a.csrNumber ?? -Infinity;
+      const right = b.csrNumber ?? -Infinity;
+      return sort.dir === "asc" ? left - right : right - left;
+    }
+    if (sort.key === "item") {
+      return sort.dir === "asc"
+        ? a.item.localeCompare(b.item)
+        : b.item.localeCompare(a.item);
+    }
+    return sort.dir === "asc"
+      ? a.name.localeCompare(b.name)
+      : b.name.localeCompare(a.name);
+  });
+  return sorted;
+}
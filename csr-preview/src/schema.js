@@ -0,0 +1,126 @@
+import { COLUMN_FIELDS, columnLetter } from "./config.js";
+
+const HEADER_SCAN_ROWS = 10;
+const FIELD_LABELS = { item: "item", name: "name", value: "CSR" };
+
+export function normalizeHeader(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function describeColumns(indexes) {
+  return indexes.map(columnLetter).join(", ");
+}
+
+function findMatches(cells, aliases) {
+  const wanted = new Set(aliases.map(normalizeHeader));
+  return cells
+    .map((cell, index) => (wanted.has(normalizeHeader(cell)) ? index : -1))
+    .filter((index) => index !== -1);
+}
+
+function findHeaderRow(rows, headers) {
+  let best = null;
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((cells, rowIndex) => {
+    const matches = {};
+    COLUMN_FIELDS.forEach((field) => {
+      matches[field] = findMatches(cells, headers[field] ?? []);
+    });
+    const found = COLUMN_FIELDS.filter((field) => matches[field].length).length;
+    if (found && (!best || found > best.found)) {
+      best = { rowIndex, matches, found };
+    }
+  });
+  return best;
+}
+
+// Locates the item/name/CSR columns by header text. Falls back to the
+// configured column indexes, and reports anything it had to guess at.
+export function detectSchema(rows, config) {
+  const diagnostics = [];
+  const header = findHeaderRow(rows, config.headers);
+
+  if (!header) {
+    diagnostics.push({
+      level: "warning",
+      message: `No header row found in the first ${HEADER_SCAN_ROWS} rows. Using the configured columns ${describeColumns(
+        COLUMN_FIELDS.map((field) => config.columns[field])
+      )}.`,
+    });
+    return {
+      columns: { ...config.columns },
+      headerRow: 0,
+      source: "index",
+      diagnostics,
+      error: null,
+    };
+  }
+
+  const columns = {};
+  const ambiguous = [];
+  COLUMN_FIELDS.forEach((field) => {
+    const matches = header.matches[field];
+    if (matches.length === 1) {
+      columns[field] = matches[0];
+    } else if (matches.includes(config.columns[field])) {
+      columns[field] = config.columns[field];
+    } else if (matches.length > 1) {
+      ambiguous.push(
+        `${FIELD_LABELS[field]} matches columns ${describeColumns(matches)}`
+      );
+    }
+  });
+
+  if (ambiguous.length) {
+    return {
+      columns: null,
+      headerRow: header.rowIndex,
+      source: "headers",
+      diagnostics: [
+        ...diagnostics,
+        {
+          level: "error",
+          message: `Ambiguous headers in row ${
+            header.rowIndex + 1
+          }: ${ambiguous.join("; ")}. Pick the right columns in Settings.`,
+        },
+      ],
+      error: "Ambiguous column headers",
+    };
+  }
+
+  const missing = COLUMN_FIELDS.filter((field) => columns[field] == null);
+  missing.forEach((field) => {
+    const fallback = config.columns[field];
+    const claimed = Object.values(columns).includes(fallback);
+    diagnostics.push({
+      level: claimed ? "error" : "warning",
+      message: claimed
+        ? `No ${FIELD_LABELS[field]} header in row ${
+            header.rowIndex + 1
+          } and its configured column ${columnLetter(
+            fallback
+          )} holds another field.`
+        : `No ${FIELD_LABELS[field]} header in row ${
+            header.rowIndex + 1
+          }. Using configured column ${columnLetter(fallback)}.`,
+    });
+    if (!claimed) {
+      columns[field] = fallback;
+    }
+  });
+
+  const error = diagnostics.some((entry) => entry.level === "error")
+    ? "Missing column headers"
+    : null;
+
+  return {
+    columns: error ? null : columns,
+    headerRow: header.rowIndex,
+    source: "headers",
+    diagnostics,
+    error,
+  };
+}
@@ -0,0 +1,78 @@
+// Sends sheet fetching and CSV mapping to a worker so large sheets do not
+// block the page. Falls back to the main thread if the worker cannot start.
+import { fetchCsvWithFallback, mapSheetRows } from "./sheets.js";
+
+let worker;
+let nextId = 0;
+const pending = new Map();
+
+function stopWorker() {
+  worker?.terminate();
+  worker = null;
+  pending.forEach(({ fallback, resolve, reject }) =>
+    fallback().then(resolve, reject)
+  );
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker !== undefined) {
+    return worker;
+  }
+  worker = null;
+  if (typeof Worker === "undefined") {
+    return worker;
+  }
+  try {
+    worker = new Worker(new URL("./sheetWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.addEventListener("message", (event) => {
+      const { id, result, error } = event.data;
+      const request = pending.get(id);
+      if (!request) {
+        return;
+      }
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(result);
+      }
+    });
+    worker.addEventListener("error", (event) => {
+      event.preventDefault();
+      stopWorker();
+    });
+  } catch {
+    worker = null;
+  }
+  return worker;
+}
+
+function run(message, fallback) {
+  const target = getWorker();
+  if (!target) {
+    return fallback();
+  }
+  return new Promise((resolve, reject) => {
+    nextId += 1;
+    pending.set(nextId, { resolve, reject, fallback });
+    target.postMessage({ ...message, id: nextId });
+  });
+}
+
+// { text, url, rows, schema }
+export function fetchSheet(sheet, config) {
+  return run({ type: "fetch", sheet, config }, async () => {
+    const fetched = await fetchCsvWithFallback(sheet, config.spreadsheetId);
+    return { ...fetched, ...mapSheetRows(fetched.text, config) };
+  });
+}
+
+// { rows, schema }
+export function parseSheet(text, config) {
+  return run({ type: "parse", text, config }, async () =>
+    mapSheetRows(text, config)
+  );
+}
@@ -0,0 +1,21 @@
+import { fetchCsvWithFallback, mapSheetRows } from "./sheets.js";
+
+async function handle({ type, sheet, text, config }) {
+  if (type === "fetch") {
+    const fetched = await fetchCsvWithFallback(sheet, config.spreadsheetId);
+    return { ...fetched, ...mapSheetRows(fetched.text, config) };
+  }
+  if (type === "parse") {
+    return mapSheetRows(text, config);
+  }
+  throw new Error(`Unknown request "${type}"`);
+}
+
+self.addEventListener("message", async (event) => {
+  const { id } = event.data;
+  try {
+    self.postMessage({ id, result: await handle(event.data) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,86 @@
+// Fetching a sheet and mapping its CSV into rows. Runs inside the sheet
+// worker, or on the main thread when workers are unavailable.
+import { parseCsr } from "./csr.js";
+import { detectHtml, parseCsvDocument, sanitizeRow } from "./csv.js";
+import { detectSchema } from "./schema.js";
+
+function sheetUrls(sheet, spreadsheetId) {
+  const encoded = encodeURIComponent(sheet.name);
+  const base = `https://docs.google.com/spreadsheets/d/${spreadsheetId}`;
+  const urls = [
+    `${base}/gviz/tq?tqx=out:csv&sheet=${encoded}`,
+    `${base}/export?format=csv&sheet=${encoded}`,
+  ];
+  if (sheet.gid) {
+    urls.push(
+      `${base}/export?format=csv&gid=${sheet.gid}`,
+      `${base}/gviz/tq?tqx=out:csv&gid=${sheet.gid}`
+    );
+  }
+  return urls;
+}
+
+export async function fetchCsvWithFallback(sheet, spreadsheetId) {
+  const urls = sheetUrls(sheet, spreadsheetId);
+  let lastError = null;
+  for (const url of urls) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const text = await response.text();
+      const page = detectHtml(text);
+      if (page != null) {
+        throw new Error(`Got an HTML page ("${page}") instead of CSV`);
+      }
+      return { text, url };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error("Fetch failed");
+}
+
+// { rows, schema, parse }; schema is null when strict parsing failed.
+export function mapSheetRows(text, config) {
+  return mapCsvDocument(
+    parseCsvDocument(text, { strict: config.csvMode === "strict" }),
+    config
+  );
+}
+
+// The same for a parseCsvDocument result.
+export function mapCsvDocument({ rows, ...parse }, config) {
+  if (parse.error) {
+    return { rows: [], schema: null, parse };
+  }
+  return { ...mapRawRows(rows, config), parse };
+}
+
+export function mapRawRows(parsedRows, config) {
+  const rawRows = parsedRows.map(sanitizeRow);
+  const schema = detectSchema(rawRows, config);
+  if (schema.error) {
+    return { rows: [], schema };
+  }
+  const { columns } = schema;
+  const rows = rawRows
+    .map((cells, rowIndex) => {
+      const item = (cells[columns.item] ?? "").trim();
+      const name = (cells[columns.name] ?? "").trim();
+      const value = (cells[columns.value] ?? "").trim();
+      return {
+        cells,
+        rowNumber: rowIndex + 1,
+        item,
+        name,
+        value,
+        csrNumber: parseCsr(value),
+      };
+    })
+    .filter((row) => row.rowNumber > schema.headerRow + 1)
+    .filter((row) => row.item || row.name || row.value);
+  // Header text labels the columns the table can add (see columns.js).
+  return { rows, schema: { ...schema, headers: rawRows[schema.headerRow] } };
+}
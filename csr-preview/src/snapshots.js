@@ -0,0 +1,134 @@
+import { normalizeName } from "./csr.js";
+import { deleteRecords, getAllByIndex, putRecord } from "./db.js";
+
+const STORE = "snapshots";
+const MAX_SNAPSHOTS_PER_SHEET = 30;
+
+// Every page load is one visit; snapshots taken during it are never used as
+// the "last visit" baseline.
+const VISIT_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+function toSnapshotRows(rows) {
+  return rows.map((row) => ({
+    rowNumber: row.rowNumber,
+    item: row.item,
+    name: row.name,
+    value: row.value,
+    csrNumber: row.csrNumber,
+  }));
+}
+
+function sameRows(left, right) {
+  if (left.length !== right.length) {
+    return false;
+  }
+  return left.every(
+    (row, index) =>
+      row.item === right[index].item &&
+      row.name === right[index].name &&
+      row.value === right[index].value
+  );
+}
+
+export async function recordSnapshot(sheetName, rows) {
+  const snapshots = (await getAllByIndex(STORE, "sheet", sheetName)).sort(
+    (a, b) => a.takenAt - b.takenAt
+  );
+  const baseline =
+    [...snapshots].reverse().find((entry) => entry.visitId !== VISIT_ID) ??
+    null;
+  const latest = snapshots[snapshots.length - 1];
+  const snapshotRows = toSnapshotRows(rows);
+
+  if (latest?.visitId === VISIT_ID) {
+    // Background refreshes keep a single, updated snapshot per visit so they
+    // never push older visits out of the history.
+    if (!sameRows(latest.rows, snapshotRows)) {
+      await putRecord(STORE, {
+        ...latest,
+        takenAt: Date.now(),
+        rows: snapshotRows,
+      });
+    }
+  } else if (!latest || !sameRows(latest.rows, snapshotRows)) {
+    await putRecord(STORE, {
+      sheet: sheetName,
+      visitId: VISIT_ID,
+      takenAt: Date.now(),
+      rows: snapshotRows,
+    });
+    const excess = snapshots.length + 1 - MAX_SNAPSHOTS_PER_SHEET;
+    if (excess > 0) {
+      await deleteRecords(
+        STORE,
+        snapshots.slice(0, excess).map((entry) => entry.id)
+      );
+    }
+  }
+
+  return baseline;
+}
+
+// Rows are matched on player + item; a player reserving the same item twice
+// is matched occurrence by occurrence.
+function keyRows(rows) {
+  const seen = new Map();
+  const keyed = new Map();
+  rows.forEach((row) => {
+    const base = `${normalizeName(row.name)}\u0000${normalizeName(row.item)}`;
+    const count = seen.get(base) ?? 0;
+    seen.set(base, count + 1);
+    keyed.set(`${base}\u0000${count}`, row);
+  });
+  return keyed;
+}
+
+export function diffRows(previousRows, rows) {
+  const before = keyRows(previousRows);
+  const after = keyRows(rows);
+  const added = [];
+  const removed = [];
+  const increased = [];
+  const decreased = [];
+  const byRow = new Map();
+
+  after.forEach((row, key) => {
+    const old = before.get(key);
+    if (!old) {
+      added.push(row);
+      byRow.set(row, { type: "added" });
+      return;
+    }
+    if (old.csrNumber === row.csrNumber) {
+      return;
+    }
+    const delta = (row.csrNumber ?? 0) - (old.csrNumber ?? 0);
+    const change = { row, from: old.value, to: row.value, delta };
+    if (delta >= 0) {
+      increased.push(change);
+      byRow.set(row, { type: "increased", delta });
+    } else {
+      decreased.push(change);
+      byRow.set(row, { type: "decreased", delta });
+    }
+  });
+
+  before.forEach((row, key) => {
+    if (!after.has(key)) {
+      removed.push(row);
+    }
+  });
+
+  return {
+    added,
+    removed,
+    increased,
+    decreased,
+    byRow,
+    total: added.length + removed.length + increased.length + decreased.length,
+  };
+}
+
+export function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
@@ -0,0 +1,115 @@
+import { groupByItem } from "./contention.js";
+import { normalizeName } from "./csr.js";
+import { NO_SCORE_TIER, findTier, tiersForSheet } from "./tiers.js";
+
+// Aggregates for the stats page, across every sheet that has rows.
+
+const BIN_WIDTH = 10;
+const MAX_BINS = 30;
+
+// [{ from, to, count }] covering the lowest to the highest score in steps of
+// BIN_WIDTH, widened when that would take more than MAX_BINS bars; "to" is
+// exclusive.
+export function histogram(values) {
+  if (!values.length) {
+    return [];
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width =
+    BIN_WIDTH * Math.max(1, Math.ceil((max - min) / (BIN_WIDTH * MAX_BINS)));
+  const low = Math.floor(min / width);
+  const high = Math.floor(max / width);
+  const bins = Array.from({ length: high - low + 1 }, (_, index) => ({
+    from: (low + index) * width,
+    to: (low + index + 1) * width,
+    count: 0,
+  }));
+  values.forEach((value) => {
+    bins[Math.floor(value / width) - low].count += 1;
+  });
+  return bins;
+}
+
+// Players per tier, each placed by their highest score on the sheet.
+function tierBands(rows, tiers) {
+  const best = new Map();
+  rows.forEach((row) => {
+    const key = normalizeName(row.name);
+    if (!key) {
+      return;
+    }
+    const value = row.csrNumber ?? null;
+    if (!best.has(key) || (value ?? -Infinity) > (best.get(key) ?? -Infinity)) {
+      best.set(key, value);
+    }
+  });
+  const bands = [...tiers, NO_SCORE_TIER].map((tier) => ({ tier, count: 0 }));
+  best.forEach((value) => {
+    const tier = findTier(value, tiers);
+    bands.find((band) => band.tier.id === tier.id).count += 1;
+  });
+  return bands.filter((band) => band.count || band.tier !== NO_SCORE_TIER);
+}
+
+export function sheetStats(sheet, config) {
+  const rows = sheet.rows.filter((row) => row.item || row.name);
+  const scores = rows
+    .map((row) => row.csrNumber)
+    .filter((value) => value != null);
+  return {
+    name: sheet.name,
+    rows: rows.length,
+    unscored: rows.length - scores.length,
+    histogram: histogram(scores),
+    bands: tierBands(rows, tiersForSheet(config, sheet.name)),
+  };
+}
+
+// { sheets, contested, players } with the `limit` most contested items and
+// highest total CSR players across all sheets.
+export function computeStats(sheets, config, { limit = 10 } = {}) {
+  const loaded = sheets.filter((sheet) => sheet.rows.length);
+
+  const contested = loaded
+    .flatMap((sheet) =>
+      groupByItem(sheet.rows).map((group) => ({
+        sheet: sheet.name,
+        item: group.item,
+        count: group.count,
+        topCsr: group.topCsr,
+      }))
+    )
+    .filter((entry) => entry.count > 1)
+    .sort(
+      (a, b) =>
+        b.count - a.count ||
+        (b.topCsr ?? -Infinity) - (a.topCsr ?? -Infinity) ||
+        a.item.localeCompare(b.item)
+    )
+    .slice(0, limit);
+
+  const players = new Map();
+  loaded.forEach((sheet) =>
+    sheet.rows.forEach((row) => {
+      const key = normalizeName(row.name);
+      if (!key) {
+        return;
+      }
+      if (!players.has(key)) {
+        players.set(key, { name: row.name, total: 0, reservations: 0 });
+      }
+      const player = players.get(key);
+      player.total += row.csrNumber ?? 0;
+      player.reservations += 1;
+    })
+  );
+
+  return {
+    sheets: loaded.map((sheet) => sheetStats(sheet, config)),
+    contested,
+    players: [...players.values()]
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name))
+      .slice(0, limit),
+  };
+}
@@ -0,0 +1,142 @@
+// CSR tiers: which badge a value gets. Tiers are listed from the highest
+// threshold down; a value gets the first tier whose `min` it reaches, and the
+// last tier catches everything below. Colors are palette names or #hex.
+
+export const PALETTES = {
+  default: {
+    gold: "#c08a2b",
+    green: "#67b36d",
+    stone: "#948d7b",
+    ash: "#aaa294",
+    blue: "#4f7cc0",
+    purple: "#8a5cc0",
+    red: "#c0504f",
+    teal: "#3f9c9a",
+  },
+  // Okabe–Ito colors, distinguishable with the common color vision
+  // deficiencies.
+  colorblind: {
+    gold: "#e69f00",
+    green: "#0072b2",
+    stone: "#cc79a7",
+    ash: "#999999",
+    blue: "#56b4e9",
+    purple: "#7a4b9a",
+    red: "#d55e00",
+    teal: "#009e73",
+  },
+};
+
+export const PALETTE_LABELS = {
+  default: "Default",
+  colorblind: "Colorblind-safe",
+};
+
+export const COLOR_NAMES = Object.keys(PALETTES.default);
+
+export const DEFAULT_TIERS = [
+  { id: "gold", label: "High", min: 75, color: "gold" },
+  { id: "green", label: "Medium", min: 50, color: "green" },
+  { id: "stone", label: "Low", min: 25, color: "stone" },
+  { id: "ash", label: "Very low", min: null, color: "ash" },
+];
+
+export const NO_SCORE_TIER = {
+  id: "empty",
+  label: "No score",
+  min: null,
+  color: null,
+};
+
+const MAX_TIERS = 8;
+
+function slug(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function normalizeColor(value) {
+  const text = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  if (COLOR_NAMES.includes(text) || /^#[0-9a-f]{6}$/.test(text)) {
+    return text;
+  }
+  if (/^#[0-9a-f]{3}$/.test(text)) {
+    return `#${[...text.slice(1)].map((char) => char + char).join("")}`;
+  }
+  return null;
+}
+
+// A hand-written tier list -> a clean, sorted one, or null if unusable.
+export function normalizeTiers(list) {
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const seen = new Set();
+  const sorted = list
+    .filter((tier) => tier && typeof tier === "object")
+    .map((tier, index) => {
+      const label = String(tier.label ?? "").trim();
+      const min = tier.min == null || tier.min === "" ? null : Number(tier.min);
+      let id = slug(String(tier.id ?? "")) || slug(label) || `tier-${index}`;
+      while (seen.has(id) || id === NO_SCORE_TIER.id) {
+        id = `${id}-${index}`;
+      }
+      seen.add(id);
+      return {
+        id,
+        label: label || id,
+        min: Number.isFinite(min) ? min : null,
+        color:
+          normalizeColor(tier.color) ?? COLOR_NAMES[index % COLOR_NAMES.length],
+      };
+    })
+    .slice(0, MAX_TIERS)
+    .sort((a, b) => (b.min ?? -Infinity) - (a.min ?? -Infinity));
+  // Only the lowest tier may go without a threshold.
+  const tiers = sorted.filter(
+    (tier, index) => tier.min != null || index === sorted.length - 1
+  );
+  return tiers.length ? tiers : null;
+}
+
+export function tiersForSheet(config, sheetName) {
+  return config.tiers?.[sheetName] ?? config.tiers?.default ?? DEFAULT_TIERS;
+}
+
+export function findTier(value, tiers = DEFAULT_TIERS) {
+  if (value == null) {
+    return NO_SCORE_TIER;
+  }
+  return (
+    tiers.find((tier) => tier.min != null && value >= tier.min) ??
+    tiers[tiers.length - 1]
+  );
+}
+
+export function tierColor(color, palette = "default") {
+  if (!color) {
+    return null;
+  }
+  return color.startsWith("#")
+    ? color
+    : ((PALETTES[palette] ?? PALETTES.default)[color] ?? null);
+}
+
+// Inline style for a badge; the CSS mixes --tier into its background and
+// border.
+export function tierStyle(tier, palette) {
+  const color = tierColor(tier.color, palette);
+  return color ? { "--tier": color } : undefined;
+}
+
+// "≥ 75", "≥ 50", "< 50" ... for the legend.
+export function describeTierRange(tiers, index) {
+  if (index < tiers.length - 1) {
+    return `≥ ${tiers[index].min}`;
+  }
+  return index > 0 ? `< ${tiers[index - 1].min}` : "any score";
+}
@@ -0,0 +1,95 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const OVERSCAN = 10;
+const ESTIMATED_ROW_HEIGHT = 45;
+
+// Windowed rendering for a table inside a scrolling container. Rows are
+// assumed to be roughly the same height; the height is measured from the rows
+// on screen and the hidden ones are replaced by two spacer rows.
+export function useVirtualRows(count) {
+  const [container, setContainer] = useState(null);
+  const [viewport, setViewport] = useState({ top: 0, height: 0 });
+  const [rowHeight, setRowHeight] = useState(ESTIMATED_ROW_HEIGHT);
+  // Also kept in a ref so scrollToIndex works in the commit that mounts it.
+  const containerRef = useRef(null);
+
+  const ref = useCallback((node) => {
+    containerRef.current = node;
+    setContainer(node);
+  }, []);
+
+  // Centers row `index` in the container and brings the container on screen.
+  // Returns false when the container is not mounted.
+  const scrollToIndex = useCallback(
+    (index) => {
+      const node = containerRef.current;
+      if (!node) {
+        return false;
+      }
+      const header = node.querySelector("thead")?.offsetHeight ?? 0;
+      node.scrollTop = Math.max(
+        0,
+        header + index * rowHeight - (node.clientHeight - rowHeight) / 2
+      );
+      node.scrollIntoView({ block: "nearest" });
+      return true;
+    },
+    [rowHeight]
+  );
+
+  useEffect(() => {
+    if (!container) {
+      return undefined;
+    }
+
+    function measure() {
+      const rows = container.querySelectorAll("tbody tr[data-index]");
+      if (rows.length) {
+        const first = rows[0].getBoundingClientRect();
+        const last = rows[rows.length - 1].getBoundingClientRect();
+        const height = (last.bottom - first.top) / rows.length;
+        if (height > 0) {
+          setRowHeight((prev) =>
+            Math.abs(prev - height) > 0.5 ? height : prev
+          );
+        }
+      }
+      setViewport({
+        top: container.scrollTop,
+        height: container.clientHeight,
+      });
+    }
+
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    if (container.firstElementChild) {
+      observer.observe(container.firstElementChild);
+    }
+    container.addEventListener("scroll", measure, { passive: true });
+    return () => {
+      observer.disconnect();
+      container.removeEventListener("scroll", measure);
+    };
+  }, [container]);
+
+  const visible = Math.ceil(
+    (viewport.height || window.innerHeight) / rowHeight
+  );
+  const start = Math.max(
+    0,
+    Math.min(
+      Math.floor(viewport.top / rowHeight) - OVERSCAN,
+      count - visible - OVERSCAN
+    )
+  );
+  const end = Math.min(count, start + visible + OVERSCAN * 2);
+
+  return {
+    ref,
+    scrollToIndex,
+    start,
+    end,
+    before: start * rowHeight,
+    after: Math.max(0, count - end) * rowHeight,
+  };
+}
@@ -0,0 +1,209 @@
+// Minimal .xlsx reader: enough of ZIP and SpreadsheetML to pull cell text out
+// of every worksheet. Formatting, formulas and dates are not interpreted.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(view) {
+  // The comment after the record is at most 65535 bytes long.
+  const stop = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= stop; offset -= 1) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error("Not a valid .xlsx file");
+}
+
+function readEntries(buffer) {
+  const view = new DataView(buffer);
+  const end = findEndOfCentralDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt .xlsx file");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      new Uint8Array(buffer, offset + 46, nameLength)
+    );
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return { view, entries };
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).arrayBuffer();
+}
+
+async function readEntryText(buffer, zip, name) {
+  const entry = zip.entries.get(name);
+  if (!entry) {
+    return null;
+  }
+  const { view } = zip;
+  if (view.getUint32(entry.localOffset, true) !== LOCAL_SIGNATURE) {
+    throw new Error("Corrupt .xlsx file");
+  }
+  const nameLength = view.getUint16(entry.localOffset + 26, true);
+  const extraLength = view.getUint16(entry.localOffset + 28, true);
+  const start = entry.localOffset + 30 + nameLength + extraLength;
+  const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+  let data;
+  if (entry.method === 0) {
+    data = bytes;
+  } else if (entry.method === 8) {
+    data = await inflate(bytes);
+  } else {
+    throw new Error(`Unsupported .xlsx compression (${entry.method})`);
+  }
+  return new TextDecoder().decode(data);
+}
+
+function decodeXml(text) {
+  return text.replace(
+    /&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+    (match, entity) => {
+      const lower = entity.toLowerCase();
+      if (lower === "amp") return "&";
+      if (lower === "lt") return "<";
+      if (lower === "gt") return ">";
+      if (lower === "quot") return '"';
+      if (lower === "apos") return "'";
+      const code = lower.startsWith("#x")
+        ? parseInt(lower.slice(2), 16)
+        : parseInt(lower.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+  );
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+// All <t> runs inside a shared or inline string, joined.
+function readText(xml) {
+  const parts = [];
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match = pattern.exec(xml);
+  while (match) {
+    parts.push(decodeXml(match[1]));
+    match = pattern.exec(xml);
+  }
+  return parts.join("");
+}
+
+function parseSharedStrings(xml) {
+  if (!xml) {
+    return [];
+  }
+  return (xml.match(/<si>[\s\S]*?<\/si>|<si\/>/g) ?? []).map(readText);
+}
+
+function columnFromReference(reference) {
+  const letters = reference.match(/^[A-Z]+/)?.[0] ?? "";
+  let index = 0;
+  for (const char of letters) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function parseWorksheet(xml, sharedStrings) {
+  const rows = [];
+  const rowPattern = /<row\b([^>]*)>([\s\S]*?)<\/row>/g;
+  let rowMatch = rowPattern.exec(xml);
+  while (rowMatch) {
+    const rowNumber =
+      Number(readAttribute(rowMatch[1], "r")) || rows.length + 1;
+    const cells = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch = cellPattern.exec(rowMatch[2]);
+    while (cellMatch) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] ?? "";
+      const reference = readAttribute(attributes, "r");
+      const column = reference ? columnFromReference(reference) : cells.length;
+      const type = readAttribute(attributes, "t");
+      const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = "";
+      if (type === "s") {
+        value = sharedStrings[Number(raw)] ?? "";
+      } else if (type === "inlineStr") {
+        value = readText(body);
+      } else if (type === "b") {
+        value = raw === "1" ? "TRUE" : "FALSE";
+      } else if (raw != null) {
+        value = decodeXml(raw);
+      }
+      while (cells.length < column) {
+        cells.push("");
+      }
+      cells[column] = value;
+      cellMatch = cellPattern.exec(rowMatch[2]);
+    }
+    while (rows.length < rowNumber - 1) {
+      rows.push([]);
+    }
+    rows[rowNumber - 1] = cells;
+    rowMatch = rowPattern.exec(xml);
+  }
+  return rows;
+}
+
+function resolveTarget(target) {
+  const clean = target.replace(/^\//, "");
+  return clean.startsWith("xl/") ? clean : `xl/${clean}`;
+}
+
+export async function readXlsx(buffer) {
+  const zip = readEntries(buffer);
+  const workbook = await readEntryText(buffer, zip, "xl/workbook.xml");
+  if (!workbook) {
+    throw new Error("Not a valid .xlsx file");
+  }
+  const rels =
+    (await readEntryText(buffer, zip, "xl/_rels/workbook.xml.rels")) ?? "";
+  const sharedStrings = parseSharedStrings(
+    await readEntryText(buffer, zip, "xl/sharedStrings.xml")
+  );
+
+  const targets = new Map();
+  (rels.match(/<Relationship\b[^>]*>/g) ?? []).forEach((tag) => {
+    targets.set(readAttribute(tag, "Id"), readAttribute(tag, "Target"));
+  });
+
+  const sheets = [];
+  const sheetTags = workbook.match(/<sheet\b[^>]*>/g) ?? [];
+  for (const [index, tag] of sheetTags.entries()) {
+    const target = targets.get(readAttribute(tag, "r:id"));
+    const path = target
+      ? resolveTarget(target)
+      : `xl/worksheets/sheet${index + 1}.xml`;
+    const xml = await readEntryText(buffer, zip, path);
+    if (xml) {
+      sheets.push({
+        name: readAttribute(tag, "name") ?? `Sheet${index + 1}`,
+        rows: parseWorksheet(xml, sharedStrings),
+      });
+    }
+  }
+  return sheets;
+}
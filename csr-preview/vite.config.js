@@ -1,8 +1,46 @@
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Fills the hashed build output into the copy of public/sw.js in outDir
+// (dist/sw.js) so the worker can precache it on install, and names the cache
+// after the build so old bundles get pruned. public/sw.js keeps its "dev"
+// placeholders.
+function swManifest() {
+  let outDir
+  let assets = []
+  return {
+    name: 'sw-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir
+    },
+    generateBundle(_options, bundle) {
+      assets = Object.keys(bundle)
+        .filter((file) => !file.endsWith('.html') && !file.endsWith('.map'))
+        .sort()
+    },
+    async writeBundle() {
+      const file = join(outDir, 'sw.js')
+      const hash = createHash('sha256')
+        .update(assets.join('\n'))
+        .digest('hex')
+        .slice(0, 10)
+      const source = (await readFile(file, 'utf8'))
+        .replace('const BUILD_HASH = "dev";', `const BUILD_HASH = "${hash}";`)
+        .replace(
+          'const BUILD_ASSETS = [];',
+          `const BUILD_ASSETS = ${JSON.stringify(assets.map((asset) => `./${asset}`))};`
+        )
+      await writeFile(file, source)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   base: '/somcsrpreview/',
-  plugins: [react()],
+  plugins: [react(), swManifest()],
 })